@@ -1,7 +1,7 @@
 npx create-react-app 
-import React, { useMemo, useState, useEffect } from "react";
-import { MotionConfig, motion } from "framer-motion";
-import { CheckCircle2, AlertTriangle, XCircle, Send, Mail, Globe, User, Loader2, BarChart3, ShieldCheck, Clock, Sparkles, ArrowRight, Download } from "lucide-react";
+import React, { createContext, useContext, useMemo, useState, useEffect, useRef } from "react";
+import { MotionConfig, AnimatePresence, motion } from "framer-motion";
+import { CheckCircle2, AlertTriangle, XCircle, Send, Mail, Globe, User, Loader2, BarChart3, ShieldCheck, Clock, Sparkles, ArrowLeft, ArrowRight, Download, Languages, Lock, Users, CalendarDays, CalendarCheck, Phone, Share2, Copy, Smartphone, Tag } from "lucide-react";
 import { Card, CardHeader, CardTitle, CardContent } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
@@ -9,16 +9,70 @@ import { Textarea } from "@/components/ui/textarea";
 import { Progress } from "@/components/ui/progress";
 import { RadioGroup, RadioGroupItem } from "@/components/ui/radio-group";
 import { Label } from "@/components/ui/label";
+import quizDefinition from "./quiz.json";
+import insightRules from "./insights.json";
+import roiDefinition from "./roi.json";
+import benchmarkData from "./benchmarks.json";
+import leadScoringModel from "./leadScoring.json";
+import noteTagsLexicon from "./noteTags.json";
+import en from "./locales/en.json";
+import es from "./locales/es.json";
+import fr from "./locales/fr.json";
+import ar from "./locales/ar.json";
+import { loadQuiz, isAnswered, formatAnswer } from "./lib/quizSchema.mjs";
+import { applyBranching } from "./lib/conditions.mjs";
+import { computeScore } from "./lib/scoring.mjs";
+import { loadInsightRules, insightResolver, rankInsights, pickNextStep } from "./lib/insights.mjs";
+import { buildReportPdf } from "./lib/report.mjs";
+import { loadRoiModel, roiInputs, estimateRoi, ADJUSTABLE } from "./lib/roi.mjs";
+import { loadBenchmarks, compareToPeers, regionFor } from "./lib/benchmarks.mjs";
+import { loadLeadScoring, scoreLead } from "./lib/leadScoring.mjs";
+import { loadNoteLexicon, tagAnswers, NOTES_ROLE } from "./lib/noteTags.mjs";
+import { loadBookingRules, generateSlots, dayKey, buildIcs } from "./lib/booking.mjs";
+import { shareSnapshot, shareLink, sharedIdFromHash } from "./lib/share.mjs";
+import { parseEmbedParams, hexToHsl, createEmbedBridge, prefillLead } from "./lib/embed.mjs";
+import { restoreState, schemaStamp, resumeState, resumeLink, resumeCodeFromHash, normalizeResumeCode, formatResumeCode } from "./lib/funnelState.mjs";
+import { createConsentRecord, createPiiCipher, isSealed, isExpired, wipeKeys } from "./lib/privacy.mjs";
+import { createOutbox } from "./lib/outbox.mjs";
+import { createEnvelope, createEventId, signBody, formatSignatureHeader, SIGNATURE_HEADER } from "./lib/envelope.mjs";
+import { acceptsEvent, buildRequest, deliver } from "./lib/destinations.mjs";
+import { captureAttribution } from "./lib/attribution.mjs";
+import { createAnalytics, sinkFromConfig } from "./lib/analytics.mjs";
+import { assignVariants, forcedVariants, activeVariants, mergeCopy, applyQuestionOrder } from "./lib/experiments.mjs";
+import { DEFAULT_LOCALE, detectLocale, createI18n, localizeQuiz, localizeInsights } from "./lib/i18n.mjs";
+import { createLeadStore, filterLeads, leadsToCsv, passcodeMatches, isPasscodeConfigured, LEAD_STATUSES } from "./lib/leadStore.mjs";
 
 /**
  * AI Patient Intake System – Quiz Funnel (Single-file React Component)
  *
  * Design goals
  * - Modern, clean UI with Tailwind + shadcn/ui
- * - Landing -> Lead Capture -> 15 Q Quiz -> Dynamic Results (score + insights)
- * - Lightweight scoring engine with clear traffic-light status + speedometer
+ * - Landing -> Lead Capture -> Quiz -> Dynamic Results (score + insights)
+ * - Questions, sections and scoring metadata come from quiz.json, validated at load
+ * - showIf / jump rules hide questions that earlier answers make pointless
+ * - Weighted, per-category scoring engine with traffic-light status + speedometer
+ * - Insights + next step picked by the rules in insights.json, each tagged with its rule id
+ * - Hot / warm / cold lead quality + sales route from leadScoring.json, sent with the results only
+ * - Free-text notes tagged offline (topics, urgency, sentiment) from noteTags.json for insights + routing
+ * - Optional revenue-leakage / ROI estimate from the clinic's own numbers, assumptions in roi.json
+ * - "You vs. peers" percentiles by clinic size + region, from benchmarks.json or the local backend
+ * - Demo booking: slot picker over configurable availability, booking event + .ics invite
+ * - Read-only results links (#/shared/<id>) from the backend: no contact details, revocable, expiring
+ * - Embeddable widget (?embed=1, loader in lib/embedHost.mjs): own storage, auto-height, theme, postMessage API
+ * - Versioned consent records, local data retention, optional PII encryption at rest and "clear my data"
+ * - Saved progress is versioned + migrated; "welcome back" prompt, full start over, resume codes for other devices
  * - Webhook-ready lead + response submission (n8n or any backend). See CONFIG.
- * - All in one file for easy drop-in. Exported as default component.
+ * - Reference receiver in server/intake-server.mjs: validates, de-dupes and stores leads, lists + exports them
+ * - Submissions go through a persistent outbox: retried with backoff, idempotency-keyed
+ * - Unfinished runs send throttled progress snapshots and an "abandoned" event (sendBeacon on pagehide)
+ * - Events use the versioned, optionally HMAC-signed envelope from lib/envelope.mjs
+ * - Each event fans out to every enabled destination (webhook, CRM formats) in CONFIG
+ * - UTM / click-id / referrer attribution (first + last touch) rides along on every event
+ * - Funnel analytics events batched to configurable sinks, only after consent
+ * - Sticky A/B experiments over landing copy, CTA labels and question order
+ * - All copy comes from locales/*.json (en, es, fr, ar): plurals, Intl numbers, RTL; answers are option ids
+ * - Passcode-protected lead dashboard at #/admin over the leads captured in this browser
+ * - UI lives in this file; framework-free logic lives in lib/. Exported as default component.
  */
 
 // ============================
@@ -29,179 +83,284 @@ const CONFIG = {
     name: "AI Intake",
     primary: "from-purple-600 via-indigo-600 to-blue-600",
     accent: "bg-purple-600",
+    pdfColor: "#7c3aed", // report banner + headings (matches purple-600)
   },
-  webhookUrl: "https://example.com/webhooks/lead-intake", // <-- replace with your n8n webhook
-  enableDownloadPdf: true,
-  legal: {
-    consentText:
-      "By continuing, you agree to receive your results and occasional updates. You can unsubscribe anytime.",
+  // `node server/intake-server.mjs` runs a self-hosted receiver at this url; or use your n8n webhook
+  webhookUrl: "http://localhost:4020/webhooks/lead-intake",
+  // Optional HMAC signature header (see lib/envelope.mjs). "endpoint" asks your server to sign,
+  // "key" signs in the browser – only for testing, the key is visible to every visitor.
+  signing: {
+    mode: "none", // "none" | "endpoint" | "key"
+    endpoint: "", // POST { timestamp, body } -> { signature }
+    key: "",
   },
-};
-
-// ============================
-// DATA – quiz inventory
-// ============================
-const bestPracticeQs = [
-  {
-    id: "q1",
-    text: "Do you currently send automated reminders for patient appointments?",
-    best: "yes",
+  // One submission fans out to every enabled destination, each queued + retried on its own.
+  // Field maps and body formats: lib/destinations.mjs. The webhook defaults to `webhookUrl`.
+  // CRM tokens in `headers` ship to the browser – point these at a proxy in production.
+  // "Clear my data" reaches HubSpot as a GDPR delete; Salesforce can't erase by email, so it isn't sent there.
+  destinations: [
+    { id: "webhook", type: "webhook", enabled: true },
+    { id: "hubspot", type: "hubspot", enabled: false, url: "", headers: {}, events: ["quizResults", "booking", "deletionRequest"], maxAttempts: 10 },
+    { id: "salesforce", type: "salesforce", enabled: false, url: "", headers: {}, events: ["quizResults", "booking"], maxAttempts: 10 },
+    { id: "sheets", type: "sheets", enabled: false, url: "", headers: {}, maxAttempts: 10 },
+    { id: "zapier", type: "zapier", enabled: false, url: "", maxAttempts: 10 },
+  ],
+  // A delivery that gets no answer within this long is aborted and retried later, so a hung
+  // request can't leave the visitor waiting on "Submitting…".
+  requestTimeoutSec: 15,
+  // Recovery events for runs that captured a lead but didn't finish (see lib/envelope.mjs), so a
+  // "finish your assessment" sequence can follow up. While the visitor is on one of `stages`, a
+  // "progress" snapshot (answered ids, stage, %) goes out at most every progressIntervalSec, and one
+  // "abandoned" after inactivityMin without a change or when the page is hidden (via sendBeacon).
+  recovery: {
+    enabled: true,
+    stages: ["quiz", "booking"],
+    progressIntervalSec: 60,
+    inactivityMin: 15,
   },
-  {
-    id: "q2",
-    text: "Does your intake process allow patients to book online without staff assistance?",
-    best: "yes",
+  // Funnel analytics (lib/analytics.mjs). Unless requireConsent is false, nothing is tracked until the consent
+  // box is ticked, and what happened before isn't sent afterwards either.
+  // Sink types: "console", "collector" (url), "dataLayer" (name).
+  analytics: {
+    enabled: true,
+    requireConsent: true,
+    batchSize: 10,
+    flushIntervalMs: 5000,
+    sinks: [{ type: "dataLayer", name: "dataLayer" }],
   },
-  { id: "q3", text: "Do you track no-show rates and cancellations each month?", best: "yes" },
-  { id: "q4", text: "Do your patients fill intake forms digitally?", best: "yes" },
-  { id: "q5", text: "Do you follow up with no-show patients to rebook?", best: "yes" },
-  { id: "q6", text: "Do you collect patient feedback automatically after visits?", best: "yes" },
-  { id: "q7", text: "Do you personalize communication (SMS/email) for each patient?", best: "yes" },
-  { id: "q8", text: "Do you measure staff time spent on manual intake tasks?", best: "yes" },
-  { id: "q9", text: "Do you offer one‑click flexible rescheduling?", best: "yes" },
-  { id: "q10", text: "Do you analyze intake data to improve patient flow and revenue?", best: "yes" },
-];
-
-const realityQ = {
-  id: "q11",
-  text: "Which best describes your clinic right now?",
-  options: [
-    "Just starting out (0–1 staff)",
-    "Growing clinic (2–10 staff)",
-    "Established practice (10+ staff)",
-    "Multi-location clinic",
+  // A/B experiments (lib/experiments.mjs). A variant may override `copy` keys from locales/*.json
+  // (one value, or one per locale) and/or set a questionOrder; sections follow their first question, so the
+  // "page" and "wizard" layouts both show it. Force one with ?exp_<experimentId>=<variantId>.
+  experiments: [
+    {
+      id: "landing-pitch",
+      enabled: false,
+      variants: [
+        { id: "control", weight: 1 },
+        {
+          id: "revenue",
+          weight: 1,
+          copy: {
+            headline: {
+              en: "How much revenue are no-shows costing your clinic?",
+              es: "¿Cuántos ingresos le cuestan las inasistencias a su clínica?",
+              fr: "Combien les absences coûtent-elles à votre cabinet ?",
+              ar: "كم من الإيرادات يكلّف التغيّب عن المواعيد عيادتك؟",
+            },
+            landingCta: {
+              en: "Find my revenue leaks",
+              es: "Encontrar mis fugas de ingresos",
+              fr: "Trouver mes pertes de revenus",
+              ar: "اكتشف أين أخسر إيراداتي",
+            },
+          },
+        },
+      ],
+    },
+    {
+      id: "clinic-first",
+      enabled: false,
+      variants: [
+        { id: "control", weight: 1 },
+        { id: "clinic-first", weight: 1, questionOrder: ["q11", "q12", "q13", "q14"] },
+      ],
+    },
   ],
+  // Peer comparison on the results page (lib/benchmarks.mjs). Cohorts come from benchmarks.json,
+  // or from `url` (e.g. http://localhost:4020/benchmarks) when set and reachable.
+  benchmarks: {
+    enabled: true,
+    url: "",
+  },
+  // Demo booking (lib/booking.mjs). `hours` are wall-clock times in `timeZone`; visitors see
+  // the slots in their own zone. The booking goes out as a "booking" event to the destinations.
+  // availabilityUrl is the backend's GET /availability: slots booked by anyone are hidden, and a
+  // booking that lost the race comes back 409 and asks for another slot.
+  booking: {
+    enabled: true,
+    timeZone: "America/New_York",
+    durationMin: 20,
+    bufferMin: 10,
+    minNoticeHours: 12,
+    horizonDays: 14,
+    hours: {
+      mon: ["09:00-12:00", "13:00-17:00"],
+      tue: ["09:00-12:00", "13:00-17:00"],
+      wed: ["09:00-12:00", "13:00-17:00"],
+      thu: ["09:00-12:00", "13:00-17:00"],
+      fri: ["09:00-12:00"],
+    },
+    blackoutDates: ["2026-11-26", "2026-12-24", "2026-12-25", "2027-01-01"],
+    meetingUrl: "", // video-call link written into the invite
+    host: { name: "AI Intake", email: "demo@example.com" },
+    availabilityUrl: "http://localhost:4020/availability",
+  },
+  // Read-only results links (lib/share.mjs). `url` is the backend's /shares endpoint; the link only
+  // holds the id it hands out. Visitors pick one of `expiryDays` and can revoke a link later.
+  share: {
+    enabled: true,
+    url: "http://localhost:4020/shares",
+    expiryDays: [1, 7, 30, 90],
+    defaultExpiryDays: 30,
+  },
+  // "Continue on another device" (lib/funnelState.mjs). `url` is the backend's /resume endpoint, which
+  // keeps the progress under a short code for a few days (INTAKE_RESUME_DAYS). The magic link opens the
+  // full page; in an embed, the code can be typed into the widget's landing screen instead.
+  resume: {
+    enabled: true,
+    url: "http://localhost:4020/resume",
+  },
+  // Embedded widget (lib/embed.mjs; host pages load lib/embedHost.mjs). allowedOrigins lists the
+  // host origins that get lifecycle messages and may prefill the lead form – empty means any
+  // embedding page. Keeping other sites from framing the funnel at all is the web server's job
+  // (Content-Security-Policy: frame-ancestors).
+  embed: {
+    enabled: true,
+    allowedOrigins: [],
+  },
+  // Privacy (lib/privacy.mjs). The lead event carries a consent record: consentVersion plus a hash of
+  // the exact consent text shown – bump the version when the wording's meaning changes.
+  // Funnel state left idle on this device for retentionDays is wiped, as are lead dashboard records
+  // not updated for that long. encryptPii seals the lead, answers and booking in localStorage with a
+  // non-extractable key held in IndexedDB; the lead dashboard store stays plaintext.
+  privacy: {
+    consentVersion: "2026-10",
+    retentionDays: 30,
+    encryptPii: false,
+  },
+  enableDownloadPdf: true,
+  enableDownloadJson: true, // secondary raw export next to the PDF
+  // "page" = every question on one scrolling page; "wizard" = one question per screen
+  quizLayout: "page",
+  // Consent wording and all other copy live in locales/*.json (legal.consent).
+  // Lead dashboard at #/admin, listing the leads captured in this browser (lib/leadStore.mjs).
+  // While it is on, every visitor's lead, answers and notes stay in this browser's localStorage
+  // (plaintext, even with encryptPii) – only turn it on for kiosks / tablets you control.
+  // passcodeSha256 is the hex SHA-256 of the passcode – `printf %s 'passcode' | sha256sum`.
+  // There is no default: without one (or with the old "change-me") nothing is kept and #/admin
+  // stays closed. It keeps casual visitors out; it is not real access control.
+  admin: {
+    enabled: false,
+    passcodeSha256: "",
+  },
 };
 
-const desiredQ = {
-  id: "q12",
-  text: "What is your #1 desired outcome?",
-  options: [
-    "Reduce no-shows",
-    "Increase new patient bookings",
-    "Save staff time",
-    "Outperform competition",
-  ],
-};
+// ============================
+// DATA – quiz inventory (see quiz.json + lib/quizSchema.mjs)
+// ============================
+const QUIZ = loadQuiz(quizDefinition);
+const INSIGHTS = loadInsightRules(insightRules, QUIZ);
+const ROI = loadRoiModel(roiDefinition, QUIZ);
+const BENCHMARKS = loadBenchmarks(benchmarkData, QUIZ);
+const NOTE_LEXICON = loadNoteLexicon(noteTagsLexicon);
+const LEAD_SCORING = loadLeadScoring(leadScoringModel, QUIZ, Object.keys(noteTagsLexicon.topics));
+const BOOKING = loadBookingRules(CONFIG.booking);
 
-const obstacleQ = {
-  id: "q13",
-  text: "What have you tried that hasn’t worked?",
-  options: [
-    "Manual reminders",
-    "Hiring more staff",
-    "Using outdated booking software",
-    "Doing nothing",
-  ],
-};
+// UI copy per locale (lib/i18n.mjs); `copy.*` keys are the ones experiments can override
+const CATALOGS = { en, es, fr, ar };
+const LOCALES = Object.keys(CATALOGS);
+const COPY_KEYS = Object.keys(en.copy);
 
-const solutionQ = {
-  id: "q14",
-  text: "What kind of solution would best suit you?",
-  options: [
-    "AI appointment booking system",
-    "Automated follow-ups & rebooking",
-    "Smart intake + patient communication hub",
-  ],
-};
+// translator + translated quiz/rules, built once per locale
+const bundles = {};
+function localeBundle(locale) {
+  if (!bundles[locale]) {
+    const i18n = createI18n({ locale, catalogs: CATALOGS });
+    bundles[locale] = { i18n, quiz: localizeQuiz(QUIZ, i18n), rules: localizeInsights(INSIGHTS, i18n) };
+  }
+  return bundles[locale];
+}
 
-// Q15 free text
+// score, note tags, ranked insights + next step for the visible questions, in the bundle's language
+function evaluate(bundle, answers, questions) {
+  const score = computeScore(bundle.quiz, answers, questions);
+  const noteTags = tagAnswers(NOTE_LEXICON, bundle.quiz, answers);
+  const resolve = insightResolver(bundle.quiz, answers, score, noteTags);
+  return { score, noteTags, insights: rankInsights(bundle.rules, resolve), nextStep: pickNextStep(bundle.rules, resolve) };
+}
 
 // ============================
-// Helpers
+// EMBED – widget mode (see lib/embed.mjs)
 // ============================
-function classNames(...arr) {
-  return arr.filter(Boolean).join(" ");
-}
-
-function emailValid(email) {
-  return /\S+@\S+\.\S+/.test(email);
-}
+const EMBED = CONFIG.embed.enabled ? parseEmbedParams(window.location.search) : null;
+const embedHost = createEmbedBridge({
+  parentOrigin:
+    EMBED && EMBED.parentOrigin && (!CONFIG.embed.allowedOrigins.length || CONFIG.embed.allowedOrigins.includes(EMBED.parentOrigin))
+      ? EMBED.parentOrigin
+      : null,
+});
 
-function computeScore(answers) {
-  // score 1 for each best-practice “yes”, else 0; neutral for unanswered
-  const yesScore = bestPracticeQs.reduce((acc, q) => {
-    const a = answers[q.id];
-    if (!a) return acc;
-    return acc + (a === q.best ? 1 : 0);
-  }, 0);
+// localStorage keys; each embedding site gets its own set, apart from the full page's
+const STORAGE_PREFIX = EMBED ? `ai-intake-embed-${EMBED.namespace}-` : "ai-intake-";
+const storageKey = (name) => STORAGE_PREFIX + name;
 
-  // weight adjustments (light) based on clinic size and desired outcome readiness
-  const size = answers[realityQ.id];
-  const desired = answers[desiredQ.id];
+// ============================
+// PRIVACY – retention, sealed PII, clear my data (see lib/privacy.mjs)
+// ============================
+// what the funnel keeps about a visitor; the language choice stays, the outbox and lead store are handled apart
+const TOUCHED_KEY = storageKey("touched");
+const OUTBOX_KEY = storageKey("outbox");
+const FUNNEL_KEYS = ["schema", "stage", "lead", "answers", "quizStartedAt", "session", "attribution", "visitor", "experiments", "booking", "shares"].map(storageKey).concat(TOUCHED_KEY);
+const CLEARED_KEY = storageKey("cleared"); // sessionStorage: shows the confirmation after the reload
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-  let bonus = 0;
-  if (size === "Multi-location clinic") bonus += 1; // complexity requires maturity
-  if (desired === "Reduce no-shows") bonus += 0.5; // alignment with quiz focus
+const piiCipher = CONFIG.privacy.encryptPii ? createPiiCipher({ keyId: STORAGE_PREFIX }) : null;
+let clearingData = false; // set once "clear my data" runs, so late writes can't bring anything back
 
-  const raw = yesScore + bonus;
-  const max = bestPracticeQs.length + 1; // 10 + potential 1 bonus
-  const pct = Math.round((raw / max) * 100);
+// idle past the retention period: wiped, undelivered submissions included, before any hook or the outbox reads it
+try {
+  if (isExpired(localStorage.getItem(TOUCHED_KEY), CONFIG.privacy.retentionDays)) wipeKeys(localStorage, [...FUNNEL_KEYS, OUTBOX_KEY]);
+} catch {}
 
-  let color = "red";
-  if (pct >= 75) color = "green";
-  else if (pct >= 45) color = "amber";
+// a sticky header only makes sense when the funnel owns the page
+const headerClass = EMBED ? "border-b bg-white/70" : "sticky top-0 z-30 border-b bg-white/70 backdrop-blur";
 
-  return { raw, pct, color, yesScore, bonus };
+// posts the widget's rendered height whenever it changes, so the host can size the iframe
+function useEmbedAutoHeight(ref) {
+  useEffect(() => {
+    if (!EMBED || !ref.current) return;
+    let last = 0;
+    const observer = new ResizeObserver(() => {
+      const height = Math.ceil(ref.current.getBoundingClientRect().height);
+      if (height !== last) embedHost.post("resize", { height: (last = height) });
+    });
+    observer.observe(ref.current);
+    return () => observer.disconnect();
+  }, []);
 }
 
-function insightsFrom(answers, score) {
-  const notes = [];
+// ============================
+// Helpers
+// ============================
+function classNames(...arr) {
+  return arr.filter(Boolean).join(" ");
+}
 
-  // Low score
-  if (score.color === "red") {
-    if (answers.q1 !== "yes")
-      notes.push(
-        "You're losing revenue to no-shows because reminders aren't automated. Patients will pick clinics that nudge them to show up."
-      );
-    if (answers.q2 !== "yes")
-      notes.push("Patients find it harder to book with you than competitors. Enable online self-booking 24/7.");
-    if (answers.q4 !== "yes")
-      notes.push("Switch to digital intake forms to cut waiting room time and data entry.");
-  }
+// triggers a browser download of `content`
+function saveFile(name, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
+}
 
-  // Mid score
-  if (score.color === "amber") {
-    notes.push(
-      "Your clinic is doing well in bookings, but follow-ups are weak. Automated follow-ups can reduce cancellations by ~30%."
-    );
-    if (answers.q7 !== "yes") notes.push("Personalize SMS/email to lift confirmations and feedback.");
-    if (answers.q9 !== "yes") notes.push("Offer one-click rescheduling to keep bookings instead of losing them.");
-  }
+function emailValid(email) {
+  return /\S+@\S+\.\S+/.test(email);
+}
 
-  // High score
-  if (score.color === "green") {
-    notes.push(
-      "You're already ahead. With AI intake, you can scale faster without hiring more staff—focus on optimization and analytics."
-    );
-    if (answers.q10 !== "yes") notes.push("Start a monthly intake analytics review to spot bottlenecks early.");
-  }
-
-  // Tailor by desired outcome
-  switch (answers[desiredQ.id]) {
-    case "Reduce no-shows":
-      notes.push("Double down on reminders + rebooking flows. Add SMS day-before + morning-of nudges.");
-      break;
-    case "Increase new patient bookings":
-      notes.push("Simplify your booking funnel and add Google Business Profile booking links.");
-      break;
-    case "Save staff time":
-      notes.push("Automate data entry from forms to EHR/Sheets and remove phone-tag scheduling.");
-      break;
-    case "Outperform competition":
-      notes.push("Offer instant scheduling, waitlist auto-fill, and post-visit feedback loops.");
-      break;
-    default:
-      break;
-  }
+const I18nContext = createContext(localeBundle(DEFAULT_LOCALE).i18n);
 
-  return notes.slice(0, 5);
+function useI18n() {
+  return useContext(I18nContext);
 }
 
 // ============================
 // Components
 // ============================
 function Speedometer({ percent = 0, label = "" }) {
+  const i18n = useI18n();
   const angle = (percent / 100) * 180 - 90; // -90 to +90
   return (
     <div className="w-full max-w-md mx-auto">
@@ -224,114 +383,552 @@ function Speedometer({ percent = 0, label = "" }) {
           strokeLinecap="round"
         />
         <circle cx="100" cy="110" r="6" fill="#111827" />
-        <text x="100" y="35" textAnchor="middle" className="fill-gray-700" style={{ fontSize: 18, fontWeight: 700 }}>{percent}%</text>
+        <text x="100" y="35" textAnchor="middle" className="fill-gray-700" style={{ fontSize: 18, fontWeight: 700 }}>{i18n.percent(percent)}</text>
         <text x="100" y="55" textAnchor="middle" className="fill-gray-500" style={{ fontSize: 12 }}>{label}</text>
       </svg>
     </div>
   );
 }
 
+const barColors = { red: "bg-red-500", amber: "bg-amber-400", green: "bg-green-500" };
+
+function CategoryBreakdown({ categories }) {
+  const i18n = useI18n();
+  if (!categories.length) return null;
+  return (
+    <div className="space-y-2">
+      {categories.map((c) => (
+        <div key={c.id}>
+          <div className="flex justify-between text-xs text-gray-600 mb-1">
+            <span>{c.label}</span>
+            <span>{i18n.percent(c.pct)}</span>
+          </div>
+          <div className="h-2 rounded-full bg-slate-100 overflow-hidden">
+            <div className={classNames("h-full rounded-full", barColors[c.color])} style={{ width: `${c.pct}%` }} />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// renders **bold** spans from rule text
+function Emphasis({ text }) {
+  return text.split(/\*\*(.+?)\*\*/g).map((part, i) => (i % 2 ? <b key={i}>{part}</b> : part));
+}
+
 function TrafficLight({ color }) {
-  const map = { red: "bg-red-500", amber: "bg-amber-400", green: "bg-green-500" };
+  const { t } = useI18n();
   return (
     <div className="flex items-center gap-2">
-      <div className={classNames("w-3 h-3 rounded-full shadow", map[color])} />
-      <span className="text-sm text-gray-600">{color === "green" ? "Ready now" : color === "amber" ? "Needs improvements" : "Major gaps"}</span>
+      <div className={classNames("w-3 h-3 rounded-full shadow", barColors[color])} />
+      <span className="text-sm text-gray-600">{t(`status.${color}`)}</span>
     </div>
   );
 }
 
-// Simple localStorage hook
-function useLocalStorage(key, initialValue) {
+function readStored(key) {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+function writeStored(key, value) {
+  if (clearingData) return;
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+    localStorage.setItem(TOUCHED_KEY, new Date().toISOString());
+  } catch {}
+}
+
+// localStorage hook -> [value, setValue, ready]. `sensitive` values are sealed when CONFIG.privacy.encryptPii
+// is on: they're opened after the first render, and nothing is written back until then (`ready`) so the
+// initial value can't clobber them.
+function useLocalStorage(key, initialValue, { sensitive = false } = {}) {
+  const sealed = sensitive && piiCipher;
   const [value, setValue] = useState(() => {
-    try {
-      const stored = localStorage.getItem(key);
-      return stored ? JSON.parse(stored) : initialValue;
-    } catch {
-      return initialValue;
-    }
+    const stored = readStored(key);
+    if (stored !== undefined && !isSealed(stored)) return stored; // plaintext from before sealing was on gets sealed below
+    return typeof initialValue === "function" ? initialValue() : initialValue;
   });
+  const [ready, setReady] = useState(!sealed);
+  const writes = useRef(Promise.resolve());
+
   useEffect(() => {
-    try {
-      localStorage.setItem(key, JSON.stringify(value));
-    } catch {}
-  }, [key, value]);
-  return [value, setValue];
+    if (!sealed) return;
+    let live = true;
+    const stored = readStored(key);
+    (isSealed(stored) ? piiCipher.open(stored) : Promise.resolve(undefined))
+      .then((opened) => live && opened !== undefined && setValue(opened))
+      .catch(() => console.warn(`Could not open ${key}; starting fresh`)) // its key is gone
+      .then(() => live && setReady(true));
+    return () => {
+      live = false;
+    };
+  }, [key]);
+
+  useEffect(() => {
+    if (!ready) return;
+    if (!sealed) writeStored(key, value);
+    else
+      writes.current = writes.current
+        .then(() => piiCipher.seal(value))
+        .then((box) => writeStored(key, box))
+        .catch((e) => console.warn(`Could not seal ${key}; not saved`, e));
+  }, [key, value, ready]);
+  return [value, setValue, ready];
+}
+
+// ============================
+// Submission outbox
+// ============================
+async function signatureHeaders(body, signal) {
+  const { mode, endpoint, key } = CONFIG.signing;
+  if (mode === "key" && key) return { [SIGNATURE_HEADER]: await signBody(key, body) };
+  if (mode === "endpoint" && endpoint) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const res = await fetch(endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ timestamp, body }),
+      signal,
+    });
+    if (!res.ok) throw new Error(`Signing endpoint responded ${res.status}`);
+    const { signature } = await res.json();
+    return { [SIGNATURE_HEADER]: formatSignatureHeader(timestamp, signature) };
+  }
+  return {};
+}
+
+const DESTINATIONS = CONFIG.destinations.map((d) =>
+  d.type === "webhook" && !d.url ? { ...d, url: CONFIG.webhookUrl } : d
+);
+
+async function sendToDestination(entry) {
+  // entries queued before destinations existed hold a bare envelope meant for the webhook
+  const { destinationId, envelope } = entry.payload.destinationId
+    ? entry.payload
+    : { destinationId: "webhook", envelope: entry.payload };
+  const dest = DESTINATIONS.find((d) => d.id === destinationId);
+  if (!dest || !dest.url) return; // removed or unconfigured since it was queued
+  await deliver(dest, { ...envelope, sentAt: new Date().toISOString() }, {
+    signHeaders: signatureHeaders,
+    extraHeaders: { "Idempotency-Key": envelope.eventId },
+    timeoutMs: CONFIG.requestTimeoutSec * 1000,
+  });
+}
+
+// outbox entries given up on, so submitEvent can tell a refusal (e.g. 409, slot taken) from "queued"
+const rejected = new Map();
+
+// queued payloads are sealed like the rest of the visitor's details, except a deletion request: "clear my data"
+// destroys the key right after queueing it, and it still has to go out on the next visit
+const outbox = createOutbox({
+  send: sendToDestination,
+  storageKey: OUTBOX_KEY,
+  ...(piiCipher && {
+    seal: (payload) => ((payload.envelope || payload).type === "deletionRequest" ? payload : piiCipher.seal(payload)),
+    open: (stored) => (isSealed(stored) ? piiCipher.open(stored) : stored),
+  }),
+  onGiveUp: (entry, err) => {
+    rejected.set(entry.id, err);
+    console.error(`Dropped ${entry.id} after ${entry.attempts} attempt(s)`, err);
+  },
+});
+
+// the dashboard (and the local copy of every lead behind it) needs its own passcode
+const ADMIN_ENABLED = CONFIG.admin.enabled && isPasscodeConfigured(CONFIG.admin.passcodeSha256);
+if (CONFIG.admin.enabled && !ADMIN_ENABLED) console.warn("CONFIG.admin is on but has no passcodeSha256 of its own; the lead dashboard stays off.");
+
+const leadStore = createLeadStore({ storageKey: storageKey("leads") });
+leadStore.purge(new Date(Date.now() - CONFIG.privacy.retentionDays * DAY_MS));
+
+// Queues the envelope once per destination, then tries to deliver right away. Resolves true once all were
+// delivered; throws the DeliveryError when the intake backend (the webhook) refused a booking with 409 because
+// the slot was taken meanwhile. A 409 from anywhere else (e.g. a CRM's duplicate contact) is just a failure.
+async function submitEvent(envelope) {
+  if (ADMIN_ENABLED) leadStore.record(envelope);
+  const targets = DESTINATIONS.filter((d) => d.url && acceptsEvent(d, envelope));
+  const ids = targets.map((d) =>
+    outbox.enqueue({ destinationId: d.id, envelope }, `${envelope.eventId}:${d.id}`, { maxAttempts: d.maxAttempts })
+  );
+  await outbox.flush();
+  const conflict =
+    envelope.type === "booking" &&
+    ids.map((id) => rejected.get(id)).find((err, i) => err && err.status === 409 && targets[i].type === "webhook");
+  ids.forEach((id) => rejected.delete(id));
+  if (conflict) throw conflict;
+  const pending = new Set(outbox.entries().map((e) => e.id));
+  return ids.every((id) => !pending.has(id));
+}
+
+// For pagehide, when there's no time left for the outbox: destinations that need no headers (auth, signature)
+// get the event by sendBeacon – text/plain, which skips the CORS preflight. The rest, and any beacon the
+// browser refuses, are queued and go out on the next visit.
+function beaconEvent(envelope) {
+  if (ADMIN_ENABLED) leadStore.record(envelope);
+  const sentAt = new Date().toISOString();
+  DESTINATIONS.filter((d) => d.url && acceptsEvent(d, envelope)).forEach((d) => {
+    const signed = (d.sign ?? d.type === "webhook") && CONFIG.signing.mode !== "none";
+    const beaconable = navigator.sendBeacon && !signed && !Object.keys(d.headers || {}).length;
+    const req = beaconable && buildRequest(d, { ...envelope, sentAt });
+    if (req && navigator.sendBeacon(req.url, req.body)) return;
+    outbox.enqueue({ destinationId: d.id, envelope }, `${envelope.eventId}:${d.id}`, { maxAttempts: d.maxAttempts });
+  });
+}
+
+const analytics = createAnalytics({
+  sinks: CONFIG.analytics.enabled ? CONFIG.analytics.sinks.map(sinkFromConfig).filter(Boolean) : [],
+  requireConsent: CONFIG.analytics.requireConsent,
+  batchSize: CONFIG.analytics.batchSize,
+  flushIntervalMs: CONFIG.analytics.flushIntervalMs,
+});
+
+// free text never leaves the browser through analytics
+function analyticsValue(q, value) {
+  return q.type === "text" ? undefined : value;
+}
+
+// Number of queued submissions; also starts flushing on load + `online`
+function useOutboxPending() {
+  const [pending, setPending] = useState(() => outbox.pending());
+  useEffect(() => {
+    const unsubscribe = outbox.subscribe(setPending);
+    const stop = outbox.start();
+    return () => {
+      unsubscribe();
+      stop();
+    };
+  }, []);
+  return pending;
+}
+
+// Recovery events (CONFIG.recovery) while `active`. `snapshot` is { stage, answeredIds, pct } and
+// build(type, progress) wraps it in an envelope. A progress snapshot goes out on a change, at most one
+// per interval (the last change still goes out); "abandoned" is sent once, and re-armed by the next change.
+function useRecoveryEvents(active, snapshot, build) {
+  const latest = useRef(null);
+  latest.current = { active, snapshot, build };
+  const sent = useRef({ at: 0, key: "", abandoned: false });
+  const key = JSON.stringify(snapshot);
+
+  function abandon(reason) {
+    const { active, snapshot, build } = latest.current;
+    if (!active || sent.current.abandoned || clearingData) return;
+    sent.current.abandoned = true;
+    const envelope = build("abandoned", { ...snapshot, reason });
+    if (reason === "pagehide") beaconEvent(envelope);
+    else submitEvent(envelope);
+  }
+
+  useEffect(() => {
+    if (!CONFIG.recovery.enabled || !active || key === sent.current.key) return;
+    sent.current.abandoned = false;
+    if (!snapshot.answeredIds.length) return; // nothing the lead event didn't already say
+    const wait = Math.max(0, sent.current.at + CONFIG.recovery.progressIntervalSec * 1000 - Date.now());
+    const timer = setTimeout(() => {
+      sent.current = { at: Date.now(), key, abandoned: false };
+      submitEvent(build("progress", snapshot));
+    }, wait);
+    return () => clearTimeout(timer);
+  }, [active, key]);
+
+  useEffect(() => {
+    if (!CONFIG.recovery.enabled || !active) return;
+    const timer = setTimeout(() => abandon("inactive"), CONFIG.recovery.inactivityMin * 60 * 1000);
+    return () => clearTimeout(timer);
+  }, [active, key]);
+
+  useEffect(() => {
+    if (!CONFIG.recovery.enabled) return;
+    const onPageHide = () => abandon("pagehide");
+    window.addEventListener("pagehide", onPageHide);
+    return () => window.removeEventListener("pagehide", onPageHide);
+  }, []);
 }
 
 // ============================
 // MAIN APP
 // ============================
-export default function IntakeQuizFunnel() {
-  const [stage, setStage] = useLocalStorage("ai-intake-stage", "landing");
+const QuizView = CONFIG.quizLayout === "wizard" ? QuizWizard : Quiz;
+
+function useHashRoute() {
+  const [hash, setHash] = useState(() => window.location.hash);
+  useEffect(() => {
+    const onChange = () => setHash(window.location.hash);
+    window.addEventListener("hashchange", onChange);
+    return () => window.removeEventListener("hashchange", onChange);
+  }, []);
+  return hash;
+}
+
+// ?lang= wins, then the visitor's last pick, then the browser languages
+function useLocale() {
+  const [storedLocale, setStoredLocale] = useLocalStorage(storageKey("locale"), null);
+  const [locale, setLocale] = useState(() =>
+    detectLocale({ supported: LOCALES, search: window.location.search, stored: storedLocale, languages: navigator.languages })
+  );
+  useEffect(() => {
+    setStoredLocale(locale);
+    document.documentElement.lang = locale;
+    document.documentElement.dir = localeBundle(locale).i18n.dir;
+  }, [locale]);
+  return [locale, setLocale];
+}
+
+// Routes between the funnel, #/shared/<id> links and the #/admin lead dashboard; all share the language choice.
+// Embedded, the page drops its full-height background and takes the host's theme.
+export default function App() {
+  const route = useHashRoute();
+  const [locale, setLocale] = useLocale();
+  const { i18n } = localeBundle(locale);
+  const root = useRef(null);
+  useEmbedAutoHeight(root);
+  useEffect(() => {
+    const primary = EMBED && hexToHsl(EMBED.theme.primary);
+    if (!primary) return;
+    document.documentElement.style.setProperty("--primary", primary);
+    document.documentElement.style.setProperty("--ring", primary);
+  }, []);
+  const admin = ADMIN_ENABLED && !EMBED && route.startsWith("#/admin");
+  const sharedId = CONFIG.share.enabled ? sharedIdFromHash(route) : null;
+  return (
+    <I18nContext.Provider value={i18n}>
+      <MotionConfig reducedMotion="user">
+        <div
+          ref={root}
+          dir={i18n.dir}
+          lang={locale}
+          className={classNames(!EMBED && "min-h-screen", !(EMBED && EMBED.theme.transparent) && "bg-gradient-to-br from-slate-50 to-white")}
+        >
+          {admin ? (
+            <AdminDashboard locale={locale} onLocaleChange={setLocale} />
+          ) : sharedId ? (
+            <SharedResults id={sharedId} locale={locale} onLocaleChange={setLocale} />
+          ) : (
+            <IntakeQuizFunnel locale={locale} onLocaleChange={setLocale} />
+          )}
+        </div>
+      </MotionConfig>
+    </I18nContext.Provider>
+  );
+}
+
+function LanguageSelect({ locale, onChange }) {
+  const { t } = useI18n();
+  return (
+    <label className="flex items-center gap-1">
+      <Languages className="w-4 h-4"/>
+      <select aria-label={t("header.language")} className="bg-transparent cursor-pointer" value={locale} onChange={(e) => onChange(e.target.value)}>
+        {LOCALES.map((l) => <option key={l} value={l}>{CATALOGS[l]._meta.name}</option>)}
+      </select>
+    </label>
+  );
+}
+
+function IntakeQuizFunnel({ locale, onLocaleChange }) {
+  const [schema, setSchema] = useLocalStorage(storageKey("schema"), null); // what the saved progress was written for
+  const [stage, setStage] = useLocalStorage(storageKey("stage"), "landing");
 
-  const [lead, setLead] = useLocalStorage("ai-intake-lead", {
+  const [lead, setLead, leadReady] = useLocalStorage(storageKey("lead"), {
     name: "",
     email: "",
     location: "",
     consent: false,
-  });
+  }, { sensitive: true });
+
+  const [answers, setAnswers, answersReady] = useLocalStorage(storageKey("answers"), {}, { sensitive: true });
+  const [sessionId, setSessionId] = useLocalStorage(storageKey("session"), createEventId);
+  const [quizStartedAt, setQuizStartedAt] = useLocalStorage(storageKey("quizStartedAt"), null); // for lead scoring
+  const [attribution, setAttribution] = useLocalStorage(storageKey("attribution"), null);
+  const [visitorId] = useLocalStorage(storageKey("visitor"), createEventId);
+  const [storedVariants, setStoredVariants] = useLocalStorage(storageKey("experiments"), {});
+  const [booking, setBooking] = useLocalStorage(storageKey("booking"), null, { sensitive: true });
+  const [shares, setShares] = useLocalStorage(storageKey("shares"), []); // links made here, with their revoke tokens
+
+  const bundle = localeBundle(locale);
+  const { i18n } = bundle;
+  const { t } = i18n;
+
+  // sticky experiment assignment; new/forced assignments are written back so they stick
+  const experiments = useMemo(
+    () => assignVariants(CONFIG.experiments, visitorId, storedVariants, forcedVariants(window.location.search)),
+    [visitorId, storedVariants]
+  );
+  useEffect(() => {
+    if (JSON.stringify(experiments) !== JSON.stringify(storedVariants)) setStoredVariants(experiments);
+  }, [experiments]);
+  const { copy, quiz } = useMemo(() => {
+    const variants = activeVariants(CONFIG.experiments, experiments);
+    const order = variants.map((v) => v.questionOrder).filter(Boolean).pop();
+    const base = Object.fromEntries(COPY_KEYS.map((k) => [k, i18n.raw(`copy.${k}`)]));
+    return { copy: mergeCopy(base, variants, locale), quiz: applyQuestionOrder(bundle.quiz, order) };
+  }, [experiments, locale]);
+
+  useEffect(() => {
+    setAttribution((prev) => captureAttribution(prev, { url: window.location.href, referrer: document.referrer }));
+  }, []);
+
+  // embedded: the host may prefill the lead form; "ready" tells it we're listening
+  useEffect(() => {
+    const off = embedHost.on("prefill", (msg) => setLead((l) => prefillLead(l, msg.lead)));
+    embedHost.post("ready");
+    return off;
+  }, []);
 
-  const [answers, setAnswers] = useLocalStorage("ai-intake-answers", {});
+  // analytics: consent gate, stage views and time-on-question clock
+  const lastInteraction = useRef(Date.now());
+  useEffect(() => analytics.start(), []);
+  useEffect(() => analytics.setContext({ sessionId, visitorId, quizId: QUIZ.id, experiments, locale }), [sessionId, visitorId, experiments, locale]);
+  useEffect(() => analytics.setConsent(!CONFIG.analytics.requireConsent || lead.consent), [lead.consent]);
+  useEffect(() => {
+    lastInteraction.current = Date.now();
+    analytics.track("stage_viewed", { stage });
+  }, [stage]);
   const [submitting, setSubmitting] = useState(false);
-  const [submitError, setSubmitError] = useState("");
+  const [submitError, setSubmitError] = useState(""); // message key, so it follows language switches
   const [submittedOnce, setSubmittedOnce] = useState(false);
+  const [dataCleared] = useState(() => {
+    try {
+      return sessionStorage.getItem(CLEARED_KEY) === "1";
+    } catch {
+      return false;
+    }
+  });
+  useEffect(() => {
+    try {
+      sessionStorage.removeItem(CLEARED_KEY);
+    } catch {}
+  }, []);
+  const pendingSubmissions = useOutboxPending();
 
-  const score = useMemo(() => computeScore(answers), [answers]);
-  const insights = useMemo(() => insightsFrom(answers, score), [answers, score]);
+  // saved progress is migrated and checked against the current quiz before anything shows
+  // (lib/funnelState.mjs); a #/resume/<code> magic link then replaces it with progress from another device
+  const [restored, setRestored] = useState(false);
+  const [welcomeBack, setWelcomeBack] = useState(null); // { stale } while "continue where you left off?" is asked
+  const [resumeNotice, setResumeNotice] = useState(null); // { key, ok }
+  const lastResume = useRef(null); // { code, token } of the code made here, so a new one can replace it
+  useEffect(() => {
+    if (restored || !leadReady || !answersReady) return;
+    const next = restoreState({ schema, stage, answers }, QUIZ);
+    setAnswers(next.answers);
+    setStage(next.stage);
+    setSchema(schemaStamp(QUIZ));
+    if (next.stage !== "landing") setWelcomeBack({ stale: next.stale });
+    const code = CONFIG.resume.enabled ? resumeCodeFromHash(window.location.hash) : null;
+    if (!code) {
+      setRestored(true);
+      return;
+    }
+    history.replaceState(null, "", window.location.pathname + window.location.search); // keep the code out of the address bar
+    resumeFrom(code).finally(() => setRestored(true));
+  }, [leadReady, answersReady]);
+
+  // only questions still shown after showIf/jump rules (and their answers) count anywhere below
+  const branch = useMemo(() => applyBranching(quiz, answers), [quiz, answers]);
+  // every fired rule is kept for the payload; Results shows the top `maxInsights`
+  const { score, noteTags, insights, nextStep } = useMemo(() => evaluate(bundle, branch.answers, branch.questions), [bundle, branch]);
+  // null unless the optional numbers were given; default assumptions, whatever the visitor tweaks later
+  const roi = useMemo(() => estimateRoi(ROI, roiInputs(QUIZ, branch.answers)), [branch]);
 
   // progress 0..100
-  const totalSteps = 1 /* lead */ + bestPracticeQs.length + 4 /* q11..q14 */ + 1 /* q15 */;
+  const totalSteps = 1 /* lead */ + branch.questions.length;
   const answeredCount = useMemo(() => {
-    const bCount = bestPracticeQs.filter((q) => answers[q.id]).length;
-    let extra = 0;
-    [realityQ, desiredQ, obstacleQ, solutionQ].forEach((q) => {
-      if (answers[q.id]) extra++;
-    });
-    if (answers.q15) extra++;
-    return (stage === "quiz" || stage === "results") ? bCount + extra + 1 : 0; // +1 for lead
-  }, [answers, stage]);
+    const count = branch.questions.filter((q) => isAnswered(q, branch.answers[q.id])).length;
+    return (stage === "quiz" || stage === "results") ? count + 1 : 0; // +1 for lead
+  }, [branch, stage]);
   const progressPct = Math.min(100, Math.round((answeredCount / totalSteps) * 100));
 
+  // follow-up automations hear about runs left unfinished once the lead is in (its consent covers them)
+  const recoverySnapshot = useMemo(() => {
+    const answeredIds = branch.questions.filter((q) => isAnswered(q, branch.answers[q.id])).map((q) => q.id);
+    return { stage, answeredIds, pct: branch.questions.length ? Math.round((answeredIds.length / branch.questions.length) * 100) : 0 };
+  }, [branch, stage]);
+  useRecoveryEvents(
+    restored && CONFIG.recovery.stages.includes(stage) && lead.consent && emailValid(lead.email),
+    recoverySnapshot,
+    (type, progress) => envelope(type, { lead, attribution, experiments, locale, progress })
+  );
+
   function updateLead(field, value) {
     setLead((l) => ({ ...l, [field]: value }));
   }
 
   function updateAnswer(id, value) {
+    const q = QUIZ.byId[id];
+    const wasAnswered = isAnswered(q, answers[id]);
     setAnswers((prev) => ({ ...prev, [id]: value }));
+    // typed fields fire on every keystroke – only their first answer is an event
+    if (wasAnswered && (q.type === "text" || q.type === "number")) return;
+    const at = Date.now();
+    analytics.track("question_time", { questionId: id, ms: at - lastInteraction.current });
+    lastInteraction.current = at;
+    analytics.track(wasAnswered ? "question_changed" : "question_answered", { questionId: id, value: analyticsValue(q, value) });
   }
 
-  async function submitToWebhook(payload) {
-    if (!CONFIG.webhookUrl) return;
-    try {
-      const res = await fetch(CONFIG.webhookUrl, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
-      });
-      if (!res.ok) throw new Error(`Webhook responded ${res.status}`);
-    } catch (e) {
-      console.error(e);
-      throw e;
-    }
+  function start() {
+    embedHost.post("started", { sessionId });
+    setStage("lead");
+  }
+
+  // a full start over: new session, no answers or booking; contact details stay filled in but consent is asked again
+  function restart() {
+    analytics.track("restart", { fromStage: stage });
+    setAnswers({});
+    setBooking(null);
+    setQuizStartedAt(null);
+    setSessionId(createEventId());
+    setLead((l) => ({ ...l, consent: false }));
+    setSubmittedOnce(false);
+    setSubmitError("");
+    setWelcomeBack(null);
+    setStage("landing");
+  }
+
+  function envelope(type, data) {
+    return createEnvelope(type, data, { sessionId, quiz: QUIZ });
   }
 
   async function handleStartQuiz() {
     // simple validation
     setSubmitError("");
-    if (!lead.name || !emailValid(lead.email) || !lead.location || !lead.consent) {
-      setSubmitError("Please complete your name, a valid email, location and consent.");
+    const invalid = [
+      !lead.name && "name",
+      !emailValid(lead.email) && "email",
+      !lead.location && "location",
+      !lead.consent && "consent",
+    ].filter(Boolean);
+    if (invalid.length) {
+      analytics.track("validation_error", { stage: "lead", fields: invalid });
+      setSubmitError("errors.leadInvalid");
       return;
     }
     setSubmitting(true);
     try {
       if (!submittedOnce) {
-        await submitToWebhook({ type: "lead", lead });
+        const consent = await createConsentRecord({
+          text: t("legal.consent"),
+          version: CONFIG.privacy.consentVersion,
+          locale,
+          channel: EMBED ? `embed:${EMBED.namespace}` : "web",
+        });
+        const delivered = await submitEvent(envelope("lead", { lead, attribution, experiments, locale, consent }));
+        analytics.track(delivered ? "submit_succeeded" : "submit_failed", { eventType: "lead" });
         setSubmittedOnce(true);
+        embedHost.post("leadCaptured", { sessionId });
+        if (!delivered) setSubmitError("errors.leadQueued");
       }
+      setQuizStartedAt((at) => at || new Date().toISOString());
       setStage("quiz");
     } catch (e) {
-      setSubmitError("We couldn't send your info. You can still proceed.");
+      // e.g. no crypto.subtle on a plain-http origin: the visitor still gets the quiz
+      console.error("Could not submit the lead", e);
+      analytics.track("submit_failed", { eventType: "lead" });
+      setSubmitError("errors.leadQueued");
+      setQuizStartedAt((at) => at || new Date().toISOString());
       setStage("quiz");
     } finally {
       setSubmitting(false);
@@ -341,139 +938,366 @@ export default function IntakeQuizFunnel() {
   async function handleFinish() {
     setSubmitting(true);
     setSubmitError("");
-    const payload = { type: "quizResults", lead, answers, score };
+    // for sales only: goes out with the results, never rendered
+    const leadScore = scoreLead(LEAD_SCORING, QUIZ, {
+      answers: branch.answers,
+      questions: branch.questions,
+      durationSec: quizStartedAt ? (Date.now() - Date.parse(quizStartedAt)) / 1000 : undefined,
+      notes: noteTags,
+    });
+    const payload = { lead, attribution, experiments, locale, answers: branch.answers, score, noteTags, insights, nextStep, roi, leadScore };
     try {
-      await submitToWebhook(payload);
+      const delivered = await submitEvent(envelope("quizResults", payload));
+      analytics.track(delivered ? "submit_succeeded" : "submit_failed", { eventType: "quizResults" });
+      if (!delivered) setSubmitError("errors.resultsQueued");
+      embedHost.post("completed", { sessionId, score: { pct: score.pct, color: score.color } });
       setStage("results");
     } catch (e) {
-      setSubmitError("We couldn't send results to the server, but here's your personalized report.");
+      // the report is computed here either way; only its delivery failed
+      console.error("Could not submit the results", e);
+      analytics.track("submit_failed", { eventType: "quizResults" });
+      setSubmitError("errors.resultsQueued");
       setStage("results");
     } finally {
       setSubmitting(false);
     }
   }
 
-  // Optional: simple PDF/JSON download of results
+  async function handleBook({ name, email, ...details }) {
+    setSubmitting(true);
+    setSubmitError("");
+    try {
+      const delivered = await submitEvent(envelope("booking", { lead: { ...lead, name, email }, attribution, experiments, locale, booking: details }));
+      analytics.track(delivered ? "submit_succeeded" : "submit_failed", { eventType: "booking" });
+      if (!delivered) setSubmitError("errors.bookingQueued");
+      setBooking({ ...details, name, email });
+      embedHost.post("booked", { sessionId, start: details.start, end: details.end, timeZone: details.timeZone });
+      setStage("booked");
+    } catch (e) {
+      if (e.status !== 409) console.error("Could not submit the booking", e);
+      analytics.track("submit_failed", { eventType: "booking" });
+      // slotTaken: BookingStep reloads the taken slots
+      setSubmitError(e.status === 409 ? "errors.slotTaken" : "errors.bookingFailed");
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  // Read-only link: the backend keeps a PII-free snapshot, the link only carries its id
+  async function createShare(expiresInDays) {
+    const region = regionFor(lead.location, BENCHMARKS.regions);
+    const snapshot = shareSnapshot(QUIZ, { answers: branch.answers, locale, region });
+    const res = await fetch(CONFIG.share.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ snapshot, expiresInDays }),
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const { id, token, expiresAt } = await res.json();
+    setShares((prev) => [...prev, { id, token, expiresAt, url: shareLink(window.location.href, id) }]);
+    analytics.track("share_created", { expiresInDays });
+  }
+
+  async function revokeShare(id) {
+    const share = shares.find((s) => s.id === id);
+    const res = await fetch(`${CONFIG.share.url}/${encodeURIComponent(id)}`, {
+      method: "DELETE",
+      headers: { Authorization: `Bearer ${share.token}` },
+    });
+    // 404: the backend no longer has it, which is what revoking is for
+    if (!res.ok && res.status !== 404) throw new Error(`HTTP ${res.status}`);
+    setShares((prev) => prev.filter((s) => s.id !== id));
+    analytics.track("share_revoked");
+  }
+
+  // "Continue on another device": the backend keeps this session's progress so far under a short code
+  async function createResume() {
+    const state = resumeState(QUIZ, { sessionId, stage, locale, lead, answers, experiments });
+    const res = await fetch(CONFIG.resume.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ state, replaces: lastResume.current || undefined }),
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const { code, token, expiresAt } = await res.json();
+    lastResume.current = { code, token };
+    analytics.track("resume_code_created");
+    return { code, expiresAt, url: resumeLink(window.location.href, code) };
+  }
+
+  // progress from another device replaces this one's; the lead event already went out from there
+  async function resumeFrom(code) {
+    setResumeNotice(null);
+    try {
+      const res = await fetch(`${CONFIG.resume.url}/${code}`);
+      const notice = { 404: "resume.notFound", 410: "resume.expired", 429: "resume.tooMany" }[res.status];
+      if (notice) {
+        setResumeNotice({ key: notice });
+        return;
+      }
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const { state } = await res.json();
+      const next = restoreState({ schema: state, stage: state.stage, answers: state.answers }, QUIZ);
+      setSessionId(state.sessionId);
+      setLead(state.lead);
+      setAnswers(next.answers);
+      setStoredVariants(state.experiments || {});
+      setBooking(null);
+      setSchema(schemaStamp(QUIZ));
+      setSubmittedOnce(true);
+      setStage(next.stage);
+      setWelcomeBack(null);
+      if (LOCALES.includes(state.locale) && state.locale !== locale) onLocaleChange(state.locale);
+      setResumeNotice({ key: next.stale ? "resume.restoredUpdated" : "resume.restored", ok: true });
+      analytics.track("resumed", { stage: next.stage });
+    } catch (e) {
+      console.error(e);
+      setResumeNotice({ key: "resume.unavailable" });
+    }
+  }
+
+  // "Clear my data": live share links are revoked, queued events with this visitor's details dropped and
+  // the backend asked to erase the session; then local state and its key go and the page starts over
+  async function clearMyData() {
+    setSubmitting(true);
+    await Promise.all(shares.map((s) => revokeShare(s.id).catch(() => {})));
+    outbox.discard((payload) => (payload.envelope || payload).sessionId === sessionId);
+    // without a valid email the lead form was never sent, so there is nothing to erase remotely
+    if (emailValid(lead.email)) await submitEvent(envelope("deletionRequest", { email: lead.email }));
+    analytics.track("data_cleared");
+    clearingData = true;
+    wipeKeys(localStorage, FUNNEL_KEYS);
+    if (piiCipher) await piiCipher.destroy().catch(() => {});
+    try {
+      sessionStorage.setItem(CLEARED_KEY, "1");
+    } catch {}
+    window.location.reload();
+  }
+
+  // Optional: branded PDF report + raw JSON export of results
+  const downloadName = `AI-Intake-Assessment-${lead.name || "results"}`;
+
+  async function downloadPdf() {
+    analytics.track("download", { format: "pdf" });
+    // jsPDF's standard fonts can't draw Arabic script, so RTL locales get the report in the default locale
+    const pdf = i18n.dir === "rtl" ? localeBundle(DEFAULT_LOCALE) : bundle;
+    const questions = branch.questions.map((q) => pdf.quiz.byId[q.id]);
+    const report = evaluate(pdf, branch.answers, questions);
+    const doc = await buildReportPdf({
+      brand: CONFIG.brand,
+      i18n: pdf.i18n,
+      quiz: pdf.quiz,
+      lead,
+      questions,
+      answers: branch.answers,
+      score: report.score,
+      insights: report.insights.slice(0, INSIGHTS.maxInsights),
+      nextStep: report.nextStep,
+      attribution,
+    });
+    doc.save(`${downloadName}.pdf`);
+  }
+
   function downloadJson() {
-    const blob = new Blob([JSON.stringify({ lead, answers, score, insights }, null, 2)], {
-      type: "application/json",
+    analytics.track("download", { format: "json" });
+    const data = { lead, attribution, locale, answers: branch.answers, score, insights, nextStep, roi };
+    saveFile(`${downloadName}.json`, JSON.stringify(data, null, 2), "application/json");
+  }
+
+  function downloadIcs() {
+    analytics.track("download", { format: "ics" });
+    const ics = buildIcs({
+      uid: `${sessionId}-${Date.parse(booking.start)}@ai-intake`,
+      start: booking.start,
+      end: booking.end,
+      summary: t("booking.icsSummary", { brand: CONFIG.brand.name }),
+      description: [t("booking.icsDescription", { minutes: BOOKING.durationMin }), booking.notes].filter(Boolean).join("\n\n"),
+      url: CONFIG.booking.meetingUrl,
+      organizer: CONFIG.booking.host,
+      attendee: { name: booking.name, email: booking.email },
     });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `AI-Intake-Assessment-${lead.name || "results"}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
-  }
-
-  return (
-    <MotionConfig reducedMotion="user">
-      <div className="min-h-screen bg-gradient-to-br from-slate-50 to-white">
-        <header className="sticky top-0 z-30 border-b bg-white/70 backdrop-blur">
-          <div className="mx-auto max-w-6xl px-4 py-3 flex items-center justify-between">
-            <div className="flex items-center gap-2">
-              <div className={classNames("w-8 h-8 rounded-2xl", CONFIG.brand.accent)} />
-              <span className="font-semibold">{CONFIG.brand.name}</span>
-            </div>
-            <div className="flex items-center gap-4 text-sm text-gray-600">
-              <div className="hidden md:flex items-center gap-2"><ShieldCheck className="w-4 h-4"/> HIPAA-conscious patterns</div>
-              <div className="hidden md:flex items-center gap-2"><Clock className="w-4 h-4"/> ~3 minutes</div>
-              <div className="hidden md:flex items-center gap-2"><BarChart3 className="w-4 h-4"/> Instant results</div>
-            </div>
+    saveFile(`${downloadName}-demo.ics`, ics, "text/calendar;charset=utf-8");
+  }
+
+  function changeLocale(next) {
+    analytics.track("locale_changed", { locale: next, from: locale });
+    onLocaleChange(next);
+  }
+
+  return (
+    <>
+      <header className={headerClass}>
+        <div className="mx-auto max-w-6xl px-4 py-3 flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <div className={classNames("w-8 h-8 rounded-2xl", CONFIG.brand.accent)} />
+            <span className="font-semibold">{CONFIG.brand.name}</span>
           </div>
-        </header>
-
-        <main className="mx-auto max-w-5xl px-4 py-8 md:py-12">
-          {stage === "landing" && <Landing onStart={() => setStage("lead")}/>} 
-          {stage === "lead" && (
-            <LeadCapture
-              lead={lead}
-              onChange={updateLead}
-              onStart={handleStartQuiz}
-              submitting={submitting}
-              error={submitError}
-            />
-          )}
+          <div className="flex items-center gap-4 text-sm text-gray-600">
+            {pendingSubmissions > 0 && (
+              <div className="flex items-center gap-2 text-amber-600" title={t("header.pendingTitle")}>
+                <Send className="w-4 h-4"/> {t("header.pending", { count: pendingSubmissions })}
+              </div>
+            )}
+            <div className="hidden md:flex items-center gap-2"><ShieldCheck className="w-4 h-4"/> {t("header.hipaa")}</div>
+            <div className="hidden md:flex items-center gap-2"><Clock className="w-4 h-4"/> {t("header.duration")}</div>
+            <div className="hidden md:flex items-center gap-2"><BarChart3 className="w-4 h-4"/> {t("header.instant")}</div>
+            <LanguageSelect locale={locale} onChange={changeLocale} />
+          </div>
+        </div>
+      </header>
 
-          {stage === "quiz" && (
-            <Quiz
-              answers={answers}
-              onChange={updateAnswer}
-              onFinish={handleFinish}
-              progress={progressPct}
-              submitting={submitting}
-            />
-          )}
+      <main className="mx-auto max-w-5xl px-4 py-8 md:py-12">
+        {dataCleared && stage === "landing" && (
+          <div className="max-w-3xl mx-auto mb-6 rounded-2xl bg-green-50 px-4 py-3 text-sm text-green-800 flex items-center gap-2">
+            <CheckCircle2 className="w-4 h-4 shrink-0"/> {t("privacy.cleared")}
+          </div>
+        )}
+        {resumeNotice && (
+          <div className={classNames("max-w-3xl mx-auto mb-6 rounded-2xl px-4 py-3 text-sm flex items-center gap-2", resumeNotice.ok ? "bg-green-50 text-green-800" : "bg-amber-50 text-amber-800")}>
+            {resumeNotice.ok ? <CheckCircle2 className="w-4 h-4 shrink-0"/> : <AlertTriangle className="w-4 h-4 shrink-0"/>} {t(resumeNotice.key)}
+          </div>
+        )}
+        {!restored ? (
+          <div className="flex justify-center py-24 text-gray-400"><Loader2 className="w-6 h-6 animate-spin"/></div>
+        ) : welcomeBack ? (
+          <WelcomeBack name={lead.name} stale={welcomeBack.stale} onContinue={() => setWelcomeBack(null)} onStartOver={restart} />
+        ) : (
+          <>
+            {stage === "landing" && <Landing copy={copy} onStart={start}/>} 
+            {stage === "landing" && CONFIG.resume.enabled && <ResumeCodeForm onResume={resumeFrom} />}
+            {stage === "lead" && (
+              <LeadCapture
+                copy={copy}
+                lead={lead}
+                onChange={updateLead}
+                onStart={handleStartQuiz}
+                submitting={submitting}
+                error={submitError}
+              />
+            )}
 
-          {stage === "results" && (
-            <Results
-              lead={lead}
-              answers={answers}
-              score={score}
-              insights={insights}
-              onRestart={() => setStage("landing")}
-              onDownload={CONFIG.enableDownloadPdf ? downloadJson : null}
-            />
-          )}
-        </main>
+            {stage === "quiz" && (
+              <QuizView
+                copy={copy}
+                sections={quiz.sections}
+                questions={branch.questions}
+                answers={answers}
+                onChange={updateAnswer}
+                onFinish={handleFinish}
+                progress={progressPct}
+                submitting={submitting}
+              />
+            )}
+            {stage === "quiz" && CONFIG.resume.enabled && <ContinueElsewhere onCreate={createResume} />}
+
+            {stage === "booking" && (
+              <BookingStep
+                lead={lead}
+                topInsight={insights[0]}
+                submitting={submitting}
+                error={submitError}
+                onBack={() => setStage("results")}
+                onBook={handleBook}
+              />
+            )}
+
+            {stage === "booked" && booking && (
+              <BookingConfirmation booking={booking} error={submitError} onDownloadIcs={downloadIcs} onBack={() => setStage("results")} />
+            )}
+
+            {(stage === "results" || (stage === "booked" && !booking)) && (
+              <Results
+                lead={lead}
+                questions={branch.questions}
+                answers={branch.answers}
+                score={score}
+                noteTags={noteTags}
+                insights={insights.slice(0, INSIGHTS.maxInsights)}
+                nextStep={nextStep}
+                onRestart={restart}
+                onBookDemo={CONFIG.booking.enabled ? () => setStage("booking") : null}
+                shares={shares}
+                onShare={CONFIG.share.enabled ? createShare : null}
+                onRevokeShare={revokeShare}
+                onDownloadPdf={CONFIG.enableDownloadPdf ? downloadPdf : null}
+                onDownloadJson={CONFIG.enableDownloadJson ? downloadJson : null}
+              />
+            )}
+          </>
+        )}
+      </main>
+
+      <footer className="mx-auto max-w-6xl px-4 py-10 text-center text-sm text-gray-500">
+        <p>
+          © {new Date().getFullYear()} {CONFIG.brand.name}. {t("legal.consent")}
+        </p>
+        <ClearDataButton busy={submitting} onConfirm={clearMyData} />
+      </footer>
+    </>
+  );
+}
 
-        <footer className="mx-auto max-w-6xl px-4 py-10 text-center text-sm text-gray-500">
-          <p>
-            © {new Date().getFullYear()} {CONFIG.brand.name}. {CONFIG.legal.consentText}
-          </p>
-        </footer>
+// footer action; asks once before anything is wiped
+function ClearDataButton({ busy, onConfirm }) {
+  const { t } = useI18n();
+  const [confirming, setConfirming] = useState(false);
+  if (!confirming) {
+    return (
+      <button type="button" className="mt-2 underline hover:text-gray-700" onClick={() => setConfirming(true)}>
+        {t("privacy.clear")}
+      </button>
+    );
+  }
+  return (
+    <div className="mt-3 mx-auto max-w-md rounded-2xl border bg-white p-4 text-gray-700 space-y-3">
+      <p>{t("privacy.confirm")}</p>
+      <div className="flex justify-center gap-3">
+        <Button variant="destructive" className="rounded-2xl" onClick={onConfirm} disabled={busy}>
+          {busy && <Loader2 className="w-4 h-4 me-2 animate-spin"/>} {t("privacy.confirmClear")}
+        </Button>
+        <Button variant="ghost" className="rounded-2xl" onClick={() => setConfirming(false)} disabled={busy}>{t("privacy.cancel")}</Button>
       </div>
-    </MotionConfig>
+    </div>
   );
 }
 
-function Landing({ onStart }) {
+function Landing({ copy, onStart }) {
+  const i18n = useI18n();
+  const { t } = i18n;
   return (
     <section>
       <div className="grid md:grid-cols-2 gap-6 items-center">
         <div>
           <div className="inline-flex items-center gap-2 px-3 py-1 rounded-full bg-purple-50 text-purple-700 text-xs font-medium mb-3">
-            <Sparkles className="w-3.5 h-3.5"/> AI Patient Intake System
+            <Sparkles className="w-3.5 h-3.5"/> {t("landing.badge")}
           </div>
           <h1 className="text-3xl md:text-5xl font-bold leading-tight mb-4">
-            Still losing patients to no-shows and messy scheduling?
+            {copy.headline}
           </h1>
           <div className="space-y-2 text-gray-700 mb-4">
-            <p>Feeling frustrated that your clinic has stopped growing despite your hard work?</p>
-            <p>Tired of competing clinics getting ahead because their systems are faster and smarter?</p>
+            {copy.painPoints.map((p) => <p key={p}>{p}</p>)}
           </div>
 
           <div className="mt-4">
-            <h2 className="text-xl font-semibold mb-2">Ready to fix it—fast?</h2>
-            <ul className="list-disc pl-5 text-gray-700 space-y-1">
-              <li>Are you ready to cut no-shows in half with AI?</li>
-              <li>Are you ready to become the most advanced, efficient clinic in your city?</li>
-              <li>Are you ready to book more patients and free up your staff instantly?</li>
+            <h2 className="text-xl font-semibold mb-2">{copy.readyHeading}</h2>
+            <ul className="list-disc ps-5 text-gray-700 space-y-1">
+              {copy.readyBullets.map((b) => <li key={b}>{b}</li>)}
             </ul>
             <p className="mt-4 text-gray-700">
-              <span className="font-semibold">Answer 15 quick questions</span> to find out. It only takes ~3 minutes, and you’ll get your results immediately.
+              <span className="font-semibold">{t("landing.answerCount", { count: QUIZ.questions.length })}</span>{t("landing.answerRest")}
             </p>
           </div>
 
           <div className="mt-6 flex flex-wrap items-center gap-3">
             <Button onClick={onStart} className="rounded-2xl px-5 py-6 text-base">
-              Start the 15‑Question Quiz
-              <ArrowRight className="ml-2 w-4 h-4"/>
+              {i18n.format(copy.landingCta, { count: QUIZ.questions.length })}
+              <ArrowRight className="ms-2 w-4 h-4 rtl:-scale-x-100"/>
             </Button>
-            <div className="text-sm text-gray-600">It’s free. Instant results.</div>
+            <div className="text-sm text-gray-600">{t("landing.free")}</div>
           </div>
 
           <div className="mt-10 grid sm:grid-cols-3 gap-3">
-            {[{
-              title: "Measure & reduce lost revenue",
-              desc: "Spot where no-shows and drop-offs cost you the most.",
-            },{
-              title: "Improve your booking system",
-              desc: "Boost efficiency and patient satisfaction with best practices.",
-            },{
-              title: "Find high-ROI AI opportunities",
-              desc: "Identify where automation saves time, money, and staff stress.",
-            }].map((b, i) => (
+            {copy.benefits.map((b, i) => (
               <Card key={i} className="rounded-2xl">
                 <CardHeader className="pb-1"><CardTitle className="text-base">{b.title}</CardTitle></CardHeader>
                 <CardContent className="text-sm text-gray-600">{b.desc}</CardContent>
@@ -485,27 +1309,21 @@ function Landing({ onStart }) {
         <div>
           <Card className="rounded-3xl shadow-lg border-0 bg-gradient-to-br from-white to-slate-50">
             <CardHeader>
-              <CardTitle>Why this assessment?</CardTitle>
+              <CardTitle>{t("landing.whyTitle")}</CardTitle>
             </CardHeader>
             <CardContent className="space-y-4 text-gray-700">
               <div>
-                <h3 className="font-semibold mb-1">About the creator</h3>
-                <p>
-                  I’ve spent years building automation systems for clinics and healthcare providers. Outdated intake drains revenue, frustrates staff, and creates unhappy patients. This AI-driven intake system gives clinics a competitive edge.
-                </p>
+                <h3 className="font-semibold mb-1">{t("landing.creatorTitle")}</h3>
+                <p>{t("landing.creatorBody")}</p>
               </div>
               <div>
-                <h3 className="font-semibold mb-1">Research-backed</h3>
-                <p>
-                  Studies from leading consultancies suggest 20–30% of healthcare revenue is wasted due to admin inefficiencies like no-shows and slow intake. Clinics adopting AI workflows report 30–50% improvements in scheduling efficiency and higher patient satisfaction.
-                </p>
+                <h3 className="font-semibold mb-1">{t("landing.researchTitle")}</h3>
+                <p>{t("landing.researchBody")}</p>
               </div>
               <div>
-                <h3 className="font-semibold mb-1">What others say</h3>
-                <ul className="list-disc pl-5 space-y-1">
-                  <li>“I took the assessment and instantly discovered how to cut down my no-shows.”</li>
-                  <li>“The quiz showed me exactly where my clinic was leaking revenue.”</li>
-                  <li>“In just 3 minutes, I saw how AI could help me grow without hiring more staff.”</li>
+                <h3 className="font-semibold mb-1">{t("landing.testimonialsTitle")}</h3>
+                <ul className="list-disc ps-5 space-y-1">
+                  {i18n.raw("landing.testimonials").map((q) => <li key={q}>{q}</li>)}
                 </ul>
               </div>
             </CardContent>
@@ -516,35 +1334,36 @@ function Landing({ onStart }) {
   );
 }
 
-function LeadCapture({ lead, onChange, onStart, submitting, error }) {
+function LeadCapture({ copy, lead, onChange, onStart, submitting, error }) {
+  const { t } = useI18n();
   return (
     <section className="max-w-2xl mx-auto">
       <Card className="rounded-3xl shadow-lg border-0">
         <CardHeader>
-          <CardTitle>Tell us where to send your results</CardTitle>
+          <CardTitle>{t("lead.title")}</CardTitle>
         </CardHeader>
         <CardContent>
           <div className="grid gap-4">
             <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
               <div className="sm:col-span-1">
-                <Label htmlFor="name">Name</Label>
+                <Label htmlFor="name">{t("lead.name")}</Label>
                 <div className="relative">
-                  <User className="w-4 h-4 absolute left-3 top-3 text-gray-400"/>
-                  <Input id="name" placeholder="Dr. Jane Doe" className="pl-9" value={lead.name} onChange={(e)=>onChange("name", e.target.value)} />
+                  <User className="w-4 h-4 absolute start-3 top-3 text-gray-400"/>
+                  <Input id="name" placeholder={t("lead.namePlaceholder")} className="ps-9" value={lead.name} onChange={(e)=>onChange("name", e.target.value)} />
                 </div>
               </div>
               <div className="sm:col-span-1">
-                <Label htmlFor="email">Email</Label>
+                <Label htmlFor="email">{t("lead.email")}</Label>
                 <div className="relative">
-                  <Mail className="w-4 h-4 absolute left-3 top-3 text-gray-400"/>
-                  <Input id="email" placeholder="you@clinic.com" className="pl-9" value={lead.email} onChange={(e)=>onChange("email", e.target.value)} />
+                  <Mail className="w-4 h-4 absolute start-3 top-3 text-gray-400"/>
+                  <Input id="email" placeholder={t("lead.emailPlaceholder")} className="ps-9" value={lead.email} onChange={(e)=>onChange("email", e.target.value)} />
                 </div>
               </div>
               <div className="sm:col-span-1">
-                <Label htmlFor="location">Location</Label>
+                <Label htmlFor="location">{t("lead.location")}</Label>
                 <div className="relative">
-                  <Globe className="w-4 h-4 absolute left-3 top-3 text-gray-400"/>
-                  <Input id="location" placeholder="City, Country" className="pl-9" value={lead.location} onChange={(e)=>onChange("location", e.target.value)} />
+                  <Globe className="w-4 h-4 absolute start-3 top-3 text-gray-400"/>
+                  <Input id="location" placeholder={t("lead.locationPlaceholder")} className="ps-9" value={lead.location} onChange={(e)=>onChange("location", e.target.value)} />
                 </div>
               </div>
             </div>
@@ -552,19 +1371,19 @@ function LeadCapture({ lead, onChange, onStart, submitting, error }) {
             <label className="flex items-start gap-3 text-sm text-gray-700">
               <input type="checkbox" className="mt-1" checked={lead.consent} onChange={(e)=>onChange("consent", e.target.checked)} />
               <span>
-                {CONFIG.legal.consentText}
+                {t("legal.consent")}
               </span>
             </label>
 
             {error && (
-              <div className="text-sm text-red-600 flex items-center gap-2"><AlertTriangle className="w-4 h-4"/> {error}</div>
+              <div className="text-sm text-red-600 flex items-center gap-2"><AlertTriangle className="w-4 h-4"/> {t(error)}</div>
             )}
 
             <div className="flex items-center gap-3">
               <Button onClick={onStart} disabled={submitting} className="rounded-2xl px-5 py-6 text-base">
-                {submitting ? (<><Loader2 className="w-4 h-4 mr-2 animate-spin"/> Preparing...</>) : (<>Start Quiz <ArrowRight className="ml-2 w-4 h-4"/></>)}
+                {submitting ? (<><Loader2 className="w-4 h-4 me-2 animate-spin"/> {t("lead.preparing")}</>) : (<>{copy.leadCta} <ArrowRight className="ms-2 w-4 h-4 rtl:-scale-x-100"/></>)}
               </Button>
-              <div className="text-sm text-gray-600">Takes ~3 minutes. Instant results.</div>
+              <div className="text-sm text-gray-600">{t("lead.note")}</div>
             </div>
           </div>
         </CardContent>
@@ -573,58 +1392,205 @@ function LeadCapture({ lead, onChange, onStart, submitting, error }) {
   );
 }
 
-function Quiz({ answers, onChange, onFinish, progress, submitting }) {
+function Quiz({ copy, sections, questions, answers, onChange, onFinish, progress, submitting }) {
+  const { t } = useI18n();
   return (
     <section className="max-w-3xl mx-auto">
-      <div className="mb-3 text-sm text-gray-600">Progress</div>
+      <div className="mb-3 text-sm text-gray-600">{t("quiz.progress")}</div>
       <Progress value={progress} className="h-2 rounded-full" />
 
       <div className="space-y-6 mt-6">
-        <Card className="rounded-2xl">
-          <CardHeader className="pb-1"><CardTitle className="text-lg">Best Practices (Yes/No)</CardTitle></CardHeader>
-          <CardContent className="space-y-3">
-            {bestPracticeQs.map((q) => (
-              <YesNo key={q.id} id={q.id} text={q.text} value={answers[q.id]} onChange={onChange} />
-            ))}
-          </CardContent>
-        </Card>
-
-        <Card className="rounded-2xl">
-          <CardHeader className="pb-1"><CardTitle className="text-lg">About your clinic</CardTitle></CardHeader>
-          <CardContent className="space-y-4">
-            <SingleSelect q={realityQ} value={answers[realityQ.id]} onChange={onChange} />
-            <SingleSelect q={desiredQ} value={answers[desiredQ.id]} onChange={onChange} />
-            <SingleSelect q={obstacleQ} value={answers[obstacleQ.id]} onChange={onChange} />
-            <SingleSelect q={solutionQ} value={answers[solutionQ.id]} onChange={onChange} />
-            <div>
-              <Label htmlFor="q15">Anything else you want me to know?</Label>
-              <Textarea id="q15" placeholder="Optional" value={answers.q15 || ""} onChange={(e)=>onChange("q15", e.target.value)} />
-            </div>
-          </CardContent>
-        </Card>
+        {sections.map((section) => {
+          const shown = questions.filter((q) => q.section === section.id);
+          if (!shown.length) return null;
+          return (
+            <Card key={section.id} className="rounded-2xl">
+              <CardHeader className="pb-1"><CardTitle className="text-lg">{section.title}</CardTitle></CardHeader>
+              <CardContent className="space-y-4">
+                {shown.map((q) => (
+                  <QuestionField key={q.id} q={q} value={answers[q.id]} onChange={onChange} />
+                ))}
+              </CardContent>
+            </Card>
+          );
+        })}
 
         <div className="flex items-center gap-3">
           <Button onClick={onFinish} disabled={submitting} className="rounded-2xl px-5 py-6 text-base">
-            {submitting ? (<><Loader2 className="w-4 h-4 mr-2 animate-spin"/> Scoring...</>) : (<>See My Results <ArrowRight className="ml-2 w-4 h-4"/></>)}
+            {submitting ? (<><Loader2 className="w-4 h-4 me-2 animate-spin"/> {t("quiz.scoring")}</>) : (<>{copy.finishCta} <ArrowRight className="ms-2 w-4 h-4 rtl:-scale-x-100"/></>)}
           </Button>
-          <div className="text-sm text-gray-600">You can adjust answers later.</div>
+          <div className="text-sm text-gray-600">{t("quiz.adjustLater")}</div>
         </div>
       </div>
     </section>
   );
 }
 
-function YesNo({ id, text, value, onChange }) {
-  return (
-    <div className="grid md:grid-cols-2 gap-3 items-center">
-      <div className="text-gray-800">{text}</div>
-      <div className="flex gap-4">
-        <label className={classNames("px-4 py-2 rounded-xl border cursor-pointer", value === "yes" ? "bg-green-50 border-green-300" : "hover:bg-slate-50")}
-          onClick={() => onChange(id, "yes")}
-        >Yes</label>
-        <label className={classNames("px-4 py-2 rounded-xl border cursor-pointer", value === "no" ? "bg-red-50 border-red-300" : "hover:bg-slate-50")}
+const AUTO_ADVANCE_MS = 250;
+// `custom` is the on-screen direction (1 forward, -1 back, mirrored in RTL); exit reads the latest value via AnimatePresence
+const stepVariants = {
+  enter: (dir) => ({ opacity: 0, x: dir * 40 }),
+  center: { opacity: 1, x: 0 },
+  exit: (dir) => ({ opacity: 0, x: dir * -40 }),
+};
+
+function QuizWizard({ copy, sections, questions, answers, onChange, onFinish, progress, submitting }) {
+  const { t, dir } = useI18n();
+  const [currentId, setCurrentId] = useState(questions[0]?.id);
+  const [direction, setDirection] = useState(1);
+  // branching can add/remove questions while the wizard is open, so steps are tracked by id
+  const latest = useRef(questions);
+  latest.current = questions;
+  const autoAdvance = useRef(null);
+  const cancelAutoAdvance = () => clearTimeout(autoAdvance.current);
+  useEffect(() => cancelAutoAdvance, []);
+
+  const index = Math.max(0, questions.findIndex((q) => q.id === currentId));
+  const q = questions[index];
+  const isLast = index === questions.length - 1;
+
+  function go(delta) {
+    cancelAutoAdvance();
+    const list = latest.current;
+    const from = Math.max(0, list.findIndex((x) => x.id === currentId));
+    const to = from + delta;
+    if (to < 0) return;
+    if (to >= list.length) {
+      onFinish();
+      return;
+    }
+    setDirection(delta);
+    setCurrentId(list[to].id);
+  }
+
+  function answer(id, value) {
+    onChange(id, value);
+    cancelAutoAdvance();
+    if (q.type !== "yesno" && q.type !== "single") return;
+    // the answer may have branched in more questions, so "last" is decided when the timer fires; from the last
+    // one the visitor submits with the button, never by picking an answer
+    autoAdvance.current = setTimeout(() => {
+      const list = latest.current;
+      if (list[list.length - 1]?.id !== id) go(1);
+    }, AUTO_ADVANCE_MS);
+  }
+
+  useEffect(() => {
+    function onKey(e) {
+      if (submitting || e.metaKey || e.ctrlKey || e.altKey) return;
+      const tag = e.target.tagName;
+      if (tag === "TEXTAREA") return; // Enter makes a new line in free text
+      if (e.key === "Enter") {
+        e.preventDefault();
+        go(1);
+        return;
+      }
+      if (tag === "INPUT") return;
+      const key = e.key.toLowerCase();
+      // the localized yes/no letters, with y/n always working too
+      const yes = key === "y" || key === t("quiz.yesKey");
+      const no = key === "n" || key === t("quiz.noKey");
+      if (q.type === "yesno" && (yes || no)) {
+        answer(q.id, yes ? "yes" : "no");
+      } else if ((q.type === "single" || q.type === "multi") && /^[1-9]$/.test(key)) {
+        const opt = q.options[Number(key) - 1];
+        if (!opt) return;
+        if (q.type === "single") answer(q.id, opt.id);
+        else {
+          const picked = answers[q.id] || [];
+          onChange(q.id, picked.includes(opt.id) ? picked.filter((v) => v !== opt.id) : [...picked, opt.id]);
+        }
+      }
+    }
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+
+  if (!q) return null;
+  const section = sections.find((s) => s.id === q.section);
+  const slide = dir === "rtl" ? -direction : direction;
+
+  return (
+    <section className="max-w-2xl mx-auto">
+      <div className="mb-3 flex items-center justify-between text-sm text-gray-600">
+        <span>{t("quiz.position", { index: index + 1, total: questions.length })}</span>
+        <span>{section?.title}</span>
+      </div>
+      <Progress value={progress} className="h-2 rounded-full" />
+
+      <div className="mt-6 overflow-hidden">
+        <AnimatePresence mode="wait" custom={slide} initial={false}>
+          <motion.div
+            key={q.id}
+            custom={slide}
+            variants={stepVariants}
+            initial="enter"
+            animate="center"
+            exit="exit"
+            transition={{ duration: 0.2 }}
+          >
+            <Card className="rounded-2xl">
+              <CardContent className="pt-6">
+                <QuestionField q={q} value={answers[q.id]} onChange={answer} />
+              </CardContent>
+            </Card>
+          </motion.div>
+        </AnimatePresence>
+      </div>
+
+      <div className="mt-6 flex items-center gap-3">
+        <Button variant="ghost" onClick={() => go(-1)} disabled={index === 0 || submitting} className="rounded-2xl">
+          <ArrowLeft className="me-2 w-4 h-4 rtl:-scale-x-100"/> {t("common.back")}
+        </Button>
+        <Button onClick={() => go(1)} disabled={submitting} className="rounded-2xl px-5">
+          {isLast
+            ? (submitting ? (<><Loader2 className="w-4 h-4 me-2 animate-spin"/> {t("quiz.scoring")}</>) : (<>{copy.finishCta} <ArrowRight className="ms-2 w-4 h-4 rtl:-scale-x-100"/></>))
+            : (<>{t("common.next")} <ArrowRight className="ms-2 w-4 h-4 rtl:-scale-x-100"/></>)}
+        </Button>
+        <div className="hidden sm:block text-xs text-gray-500">
+          {q.type === "yesno"
+            ? t("quiz.hintYesNo")
+            : q.type === "single" || q.type === "multi"
+              ? t("quiz.hintChoice", { count: String(q.options.length) }) // keyboard digits, not localized
+              : t("quiz.hintText")}
+        </div>
+      </div>
+    </section>
+  );
+}
+
+function QuestionField({ q, value, onChange }) {
+  switch (q.type) {
+    case "yesno":
+      return <YesNo id={q.id} text={q.text} value={value} onChange={onChange} />;
+    case "single":
+      return <SingleSelect q={q} value={value} onChange={onChange} />;
+    case "multi":
+      return <MultiSelect q={q} value={value} onChange={onChange} />;
+    case "number":
+      return <NumberField q={q} value={value} onChange={onChange} />;
+    default:
+      return (
+        <div>
+          <Label htmlFor={q.id}>{q.text}</Label>
+          <Textarea id={q.id} placeholder={q.placeholder} value={value || ""} onChange={(e)=>onChange(q.id, e.target.value)} />
+        </div>
+      );
+  }
+}
+
+function YesNo({ id, text, value, onChange }) {
+  const { t } = useI18n();
+  return (
+    <div className="grid md:grid-cols-2 gap-3 items-center">
+      <div className="text-gray-800">{text}</div>
+      <div className="flex gap-4">
+        <label className={classNames("px-4 py-2 rounded-xl border cursor-pointer", value === "yes" ? "bg-green-50 border-green-300" : "hover:bg-slate-50")}
+          onClick={() => onChange(id, "yes")}
+        >{t("common.yes")}</label>
+        <label className={classNames("px-4 py-2 rounded-xl border cursor-pointer", value === "no" ? "bg-red-50 border-red-300" : "hover:bg-slate-50")}
           onClick={() => onChange(id, "no")}
-        >No</label>
+        >{t("common.no")}</label>
       </div>
     </div>
   );
@@ -636,9 +1602,9 @@ function SingleSelect({ q, value, onChange }) {
       <Label className="mb-2 block">{q.text}</Label>
       <RadioGroup value={value || ""} onValueChange={(v)=>onChange(q.id, v)} className="grid gap-2">
         {q.options.map((opt) => (
-          <div key={opt} className="flex items-center space-x-2">
-            <RadioGroupItem value={opt} id={`${q.id}-${opt}`} />
-            <Label htmlFor={`${q.id}-${opt}`}>{opt}</Label>
+          <div key={opt.id} className="flex items-center gap-2">
+            <RadioGroupItem value={opt.id} id={`${q.id}-${opt.id}`} />
+            <Label htmlFor={`${q.id}-${opt.id}`}>{opt.label}</Label>
           </div>
         ))}
       </RadioGroup>
@@ -646,7 +1612,68 @@ function SingleSelect({ q, value, onChange }) {
   );
 }
 
-function Results({ lead, answers, score, insights, onRestart, onDownload }) {
+function MultiSelect({ q, value, onChange }) {
+  const picked = value || [];
+  function toggle(opt) {
+    onChange(q.id, picked.includes(opt) ? picked.filter((v) => v !== opt) : [...picked, opt]);
+  }
+  return (
+    <div>
+      <Label className="mb-2 block">{q.text}</Label>
+      <div className="grid gap-2">
+        {q.options.map((opt) => (
+          <label key={opt.id} className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={picked.includes(opt.id)} onChange={() => toggle(opt.id)} />
+            {opt.label}
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function NumberField({ q, value, onChange }) {
+  return (
+    <div>
+      <Label htmlFor={q.id}>{q.text}</Label>
+      <div className="flex items-center gap-2">
+        <Input
+          id={q.id}
+          type="number"
+          min={q.min}
+          max={q.max}
+          step={q.step}
+          placeholder={q.placeholder}
+          className="max-w-[12rem]"
+          value={value ?? ""}
+          onChange={(e)=>onChange(q.id, e.target.value === "" ? undefined : Number(e.target.value))}
+        />
+        {q.unit && <span className="text-sm text-gray-500">{q.unit}</span>}
+      </div>
+    </div>
+  );
+}
+
+// `lead` is null on a shared link, where `region` stands in for the location
+function Results({ lead, region, questions, answers, score, noteTags = null, insights, nextStep, onRestart, onBookDemo, onDownloadPdf, onDownloadJson, shares = [], onShare, onRevokeShare }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [pdfBusy, setPdfBusy] = useState(false);
+  const [pdfError, setPdfError] = useState("");
+
+  async function handlePdf() {
+    setPdfBusy(true);
+    setPdfError("");
+    try {
+      await onDownloadPdf();
+    } catch (e) {
+      console.error(e);
+      setPdfError(t("results.pdfError"));
+    } finally {
+      setPdfBusy(false);
+    }
+  }
+
   const statusIcon = score.color === "green" ? (
     <CheckCircle2 className="w-6 h-6 text-green-600"/>
   ) : score.color === "amber" ? (
@@ -660,83 +1687,1093 @@ function Results({ lead, answers, score, insights, onRestart, onDownload }) {
       <div className="grid md:grid-cols-2 gap-6 items-start">
         <Card className="rounded-3xl border-0 shadow-lg">
           <CardHeader className="pb-1 flex flex-row items-center justify-between">
-            <CardTitle className="text-lg">Your Assessment Score</CardTitle>
+            <CardTitle className="text-lg">{t("results.scoreTitle")}</CardTitle>
             {statusIcon}
           </CardHeader>
           <CardContent>
-            <Speedometer percent={score.pct} label={score.color === "green" ? "Ready now" : score.color === "amber" ? "Needs improvements" : "Major gaps"} />
-            <div className="mt-3"><TrafficLight color={score.color} /></div>
+            <div className="grid sm:grid-cols-2 gap-4 items-center">
+              <div>
+                <Speedometer percent={score.pct} label={t(`status.${score.color}`)} />
+                <div className="mt-3"><TrafficLight color={score.color} /></div>
+              </div>
+              <CategoryBreakdown categories={score.categories} />
+            </div>
             <div className="mt-4 grid grid-cols-3 text-center">
               <div>
-                <div className="text-2xl font-bold">{score.yesScore}</div>
-                <div className="text-xs text-gray-500">Best practices</div>
+                <div className="text-2xl font-bold">{i18n.number(score.yesScore)}</div>
+                <div className="text-xs text-gray-500">{t("results.bestPractices")}</div>
               </div>
               <div>
-                <div className="text-2xl font-bold">{score.bonus}</div>
-                <div className="text-xs text-gray-500">Context bonus</div>
+                <div className="text-2xl font-bold">{i18n.number(score.bonus)}</div>
+                <div className="text-xs text-gray-500">{t("results.contextBonus")}</div>
               </div>
               <div>
-                <div className="text-2xl font-bold">{score.pct}%</div>
-                <div className="text-xs text-gray-500">Overall score</div>
+                <div className="text-2xl font-bold">{i18n.percent(score.pct)}</div>
+                <div className="text-xs text-gray-500">{t("results.overall")}</div>
               </div>
             </div>
           </CardContent>
         </Card>
 
         <Card className="rounded-3xl border-0 shadow-lg">
-          <CardHeader className="pb-1"><CardTitle className="text-lg">Top Opportunities</CardTitle></CardHeader>
+          <CardHeader className="pb-1"><CardTitle className="text-lg">{t("results.opportunities")}</CardTitle></CardHeader>
           <CardContent>
-            <ul className="space-y-3 list-disc pl-5 text-gray-700">
-              {insights.map((i, idx) => (
-                <li key={idx}>{i}</li>
+            <ul className="space-y-3 list-disc ps-5 text-gray-700">
+              {insights.map((i) => (
+                <li key={i.ruleId}>{i.text}</li>
               ))}
             </ul>
           </CardContent>
         </Card>
       </div>
 
+      {CONFIG.benchmarks.enabled && <PeerComparison location={lead && lead.location} region={region} answers={answers} score={score} />}
+
+      <RoiEstimate answers={answers} />
+
       <Card className="rounded-3xl border-0 shadow-lg mt-6">
-        <CardHeader className="pb-1"><CardTitle className="text-lg">Recommended Next Step</CardTitle></CardHeader>
+        <CardHeader className="pb-1"><CardTitle className="text-lg">{t("results.nextStep")}</CardTitle></CardHeader>
         <CardContent className="text-gray-700 space-y-3">
-          {score.color === "red" && (
-            <p>
-              Start with <b>automated reminders + rebooking flows</b>. We’ll implement SMS/email reminders, a no-show recovery sequence, and digital intake forms to cut admin time.
-            </p>
-          )}
-          {score.color === "amber" && (
-            <p>
-              You’re close. Add <b>AI follow-ups</b>, one-click rescheduling, and monthly intake analytics to reduce cancellations and lift patient satisfaction.
-            </p>
-          )}
-          {score.color === "green" && (
-            <p>
-              You’re ready to scale. Layer on <b>AI intake + communication hub</b>, integrate analytics, and expand without adding staff.
-            </p>
+          {nextStep && (
+            <p><Emphasis text={nextStep.text} /></p>
           )}
 
           <div className="flex flex-wrap gap-3 pt-2">
-            <Button className="rounded-2xl">Book a 20‑min Demo</Button>
-            {onDownload && (
-              <Button variant="outline" className="rounded-2xl" onClick={onDownload}>
-                <Download className="w-4 h-4 mr-2"/> Download my results
+            {onBookDemo && (
+              <Button className="rounded-2xl" onClick={onBookDemo}>
+                <CalendarDays className="w-4 h-4 me-2"/> {t("results.bookDemo")}
               </Button>
             )}
-            <Button variant="ghost" className="rounded-2xl" onClick={onRestart}>Restart</Button>
+            {onDownloadPdf && (
+              <Button variant="outline" className="rounded-2xl" onClick={handlePdf} disabled={pdfBusy}>
+                {pdfBusy ? <Loader2 className="w-4 h-4 me-2 animate-spin"/> : <Download className="w-4 h-4 me-2"/>} {t("results.downloadPdf")}
+              </Button>
+            )}
+            {onDownloadJson && (
+              <Button variant="ghost" className="rounded-2xl" onClick={onDownloadJson}>{t("results.exportJson")}</Button>
+            )}
+            {onRestart && (
+              <Button variant="ghost" className="rounded-2xl" onClick={onRestart}>{t("results.restart")}</Button>
+            )}
           </div>
+          {pdfError && (
+            <div className="text-sm text-red-600 flex items-center gap-2"><AlertTriangle className="w-4 h-4"/> {pdfError}</div>
+          )}
         </CardContent>
       </Card>
 
+      {onShare && <ShareCard shares={shares} onShare={onShare} onRevoke={onRevokeShare} />}
+
       <Card className="rounded-3xl border-0 shadow-lg mt-6">
-        <CardHeader className="pb-1"><CardTitle className="text-lg">Your Inputs (for reference)</CardTitle></CardHeader>
+        <CardHeader className="pb-1"><CardTitle className="text-lg">{t("results.inputsTitle")}</CardTitle></CardHeader>
         <CardContent className="grid md:grid-cols-2 gap-4 text-sm text-gray-700">
-          <div><span className="text-gray-500">Name:</span> {lead.name || "—"}</div>
-          <div><span className="text-gray-500">Email:</span> {lead.email || "—"}</div>
-          <div><span className="text-gray-500">Location:</span> {lead.location || "—"}</div>
-          <div><span className="text-gray-500">Clinic size:</span> {answers[realityQ.id] || "—"}</div>
-          <div><span className="text-gray-500">Desired outcome:</span> {answers[desiredQ.id] || "—"}</div>
-          <div><span className="text-gray-500">Obstacle:</span> {answers[obstacleQ.id] || "—"}</div>
-          <div><span className="text-gray-500">Preferred solution:</span> {answers[solutionQ.id] || "—"}</div>
-          <div className="md:col-span-2"><span className="text-gray-500">Notes:</span> {answers.q15 || "—"}</div>
+          {lead && (
+            <>
+              <div><span className="text-gray-500">{t("lead.name")}:</span> {lead.name || "—"}</div>
+              <div><span className="text-gray-500">{t("lead.email")}:</span> {lead.email || "—"}</div>
+              <div><span className="text-gray-500">{t("lead.location")}:</span> {lead.location || "—"}</div>
+            </>
+          )}
+          {questions.filter((q) => q.summary).map((q) => (
+            <div key={q.id} className={q.wide ? "md:col-span-2" : undefined}>
+              <span className="text-gray-500">{q.summary}:</span> {formatAnswer(q, answers[q.id], i18n.answerFormat)}
+              {q.role === NOTES_ROLE && noteTags && <NoteTagChips tags={noteTags} />}
+            </div>
+          ))}
+        </CardContent>
+      </Card>
+    </section>
+  );
+}
+
+// what the offline tagger read in the free-text notes; normal urgency and neutral sentiment stay unsaid
+function NoteTagChips({ tags }) {
+  const { t } = useI18n();
+  const chips = tags.topics.map((id) => t(`noteTags.topics.${id}`));
+  if (tags.urgency !== "normal") chips.push(t(`noteTags.urgency.${tags.urgency}`));
+  if (tags.sentiment !== "neutral") chips.push(t(`noteTags.sentiment.${tags.sentiment}`));
+  if (!chips.length) return null;
+  return (
+    <div className="mt-2 flex flex-wrap items-center gap-1.5" aria-label={t("noteTags.label")}>
+      <Tag className="w-3.5 h-3.5 text-gray-400 rtl:-scale-x-100"/>
+      {chips.map((label) => (
+        <span key={label} className="rounded-full bg-purple-50 text-purple-700 text-xs px-2 py-0.5">{label}</span>
+      ))}
+    </div>
+  );
+}
+
+// Cohorts from CONFIG.benchmarks.url, fetched once per page; bundled ones until (or unless) they arrive
+let remoteBenchmarks = null;
+function useBenchmarks() {
+  const [data, setData] = useState(BENCHMARKS);
+  useEffect(() => {
+    if (!CONFIG.benchmarks.url) return;
+    let live = true;
+    remoteBenchmarks =
+      remoteBenchmarks ||
+      fetch(CONFIG.benchmarks.url)
+        .then((res) => {
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          return res.json();
+        })
+        .then((def) => loadBenchmarks(def, QUIZ));
+    remoteBenchmarks
+      .then((remote) => live && remote.cohorts.length && setData(remote))
+      .catch((e) => console.warn("Benchmarks unavailable, using bundled cohorts:", e));
+    return () => {
+      live = false;
+    };
+  }, []);
+  return data;
+}
+
+function PeerComparison({ location, region, answers, score }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const data = useBenchmarks();
+  const peers = useMemo(() => compareToPeers(data, QUIZ, { answers, score, location, region }), [data, answers, score, location, region]);
+  if (!peers) return null;
+
+  const { quiz } = localeBundle(i18n.locale);
+  const { cohort, overall } = peers;
+  const group = [
+    cohort.clinicSize && formatAnswer(quiz.byRole.clinicSize, cohort.clinicSize),
+    cohort.region && t(`benchmarks.regions.${cohort.region}`),
+  ].filter(Boolean);
+  const bars = [
+    { label: t("benchmarks.you"), pct: overall.you, color: barColors[score.color] },
+    { label: t("benchmarks.median"), pct: overall.median, color: "bg-slate-400" },
+  ];
+
+  return (
+    <Card className="rounded-3xl border-0 shadow-lg mt-6">
+      <CardHeader className="pb-1">
+        <CardTitle className="text-lg">{t("benchmarks.title")}</CardTitle>
+        <p className="text-sm text-gray-500">
+          {t("benchmarks.cohort", { count: cohort.sample, group: group.length ? group.join(" · ") : t("benchmarks.allClinics") })}
+        </p>
+      </CardHeader>
+      <CardContent className="space-y-5 text-gray-700">
+        <div className="space-y-2">
+          {bars.map((b) => (
+            <div key={b.label} className="flex items-center gap-3 text-sm">
+              <span className="w-28 shrink-0 text-gray-500">{b.label}</span>
+              <div className="h-2.5 flex-1 rounded-full bg-slate-100 overflow-hidden">
+                <div className={classNames("h-full rounded-full", b.color)} style={{ width: `${b.pct}%` }} />
+              </div>
+              <span className="w-12 text-end font-medium">{i18n.percent(b.pct)}</span>
+            </div>
+          ))}
+          <p className="text-sm font-medium">{t("benchmarks.percentile", { pct: i18n.percent(overall.percentile) })}</p>
+        </div>
+        {peers.questions.length > 0 && (
+          <div>
+            <div className="text-sm font-medium mb-2">{t("benchmarks.practices")}</div>
+            <ul className="space-y-2 text-sm">
+              {peers.questions.map((p) => (
+                <li key={p.id} className="flex items-start gap-2">
+                  {p.you ? <CheckCircle2 className="w-4 h-4 mt-0.5 shrink-0 text-green-600"/> : <XCircle className="w-4 h-4 mt-0.5 shrink-0 text-red-500"/>}
+                  <span className="flex-1">{quiz.byId[p.id].text}</span>
+                  <span className="shrink-0 text-gray-500">{t("benchmarks.peersDo", { pct: i18n.percent(p.peers) })}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+// Revenue leakage + projected savings; renders nothing without the optional numbers
+function RoiEstimate({ answers }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [drafts, setDrafts] = useState({}); // raw input text, so a field can be cleared while typing
+  const inputs = useMemo(() => roiInputs(QUIZ, answers), [answers]);
+  const overrides = useMemo(() => {
+    const out = {};
+    Object.entries(drafts).forEach(([key, value]) => {
+      const n = Number(value);
+      if (value !== "" && Number.isFinite(n) && n >= 0) out[key] = n;
+    });
+    return out;
+  }, [drafts]);
+  const estimate = useMemo(() => estimateRoi(ROI, inputs, overrides), [inputs, overrides]);
+  if (!estimate) return null;
+
+  const money = (n) => i18n.currency(n, estimate.currency);
+  const solutionQ = localeBundle(i18n.locale).quiz.byRole.solution;
+  const solution = solutionQ && estimate.solution ? formatAnswer(solutionQ, estimate.solution) : t("roi.recommended");
+
+  const figures = [
+    estimate.lostRevenue !== null && { label: t("roi.lostRevenue"), value: money(estimate.lostRevenue) },
+    estimate.intakeCost !== null && { label: t("roi.intakeCost"), value: money(estimate.intakeCost) },
+    { label: t("roi.monthlySavings"), value: money(estimate.monthlySavings), strong: true },
+  ].filter(Boolean);
+
+  return (
+    <Card className="rounded-3xl border-0 shadow-lg mt-6">
+      <CardHeader className="pb-1"><CardTitle className="text-lg">{t("roi.title")}</CardTitle></CardHeader>
+      <CardContent className="space-y-4 text-gray-700">
+        <div className="grid sm:grid-cols-3 gap-4 text-center">
+          {figures.map((f) => (
+            <div key={f.label} className={classNames("rounded-2xl p-4", f.strong ? "bg-green-50" : "bg-slate-50")}>
+              <div className={classNames("text-2xl font-bold", f.strong && "text-green-700")}>{f.value}</div>
+              <div className="text-xs text-gray-500">{f.label}</div>
+            </div>
+          ))}
+        </div>
+        <p className="text-sm">
+          {t("roi.summary", { solution, annual: money(estimate.annualSavings) })}
+          {estimate.hoursSaved !== null && <> {t("roi.hoursSaved", { hours: estimate.hoursSaved })}</>}
+        </p>
+        <details className="text-sm">
+          <summary className="cursor-pointer text-gray-600">{t("roi.adjust")}</summary>
+          <div className="grid sm:grid-cols-3 gap-4 mt-3">
+            {ADJUSTABLE.map((key) => (
+              <div key={key}>
+                <Label htmlFor={`roi-${key}`} className="text-xs text-gray-500">{t(`roi.assumptions.${key}`, { currency: estimate.currency })}</Label>
+                <Input
+                  id={`roi-${key}`}
+                  type="number"
+                  min={0}
+                  max={key === "staffHourlyCost" ? undefined : 100}
+                  value={drafts[key] ?? estimate.assumptions[key]}
+                  onChange={(e) => setDrafts((d) => ({ ...d, [key]: e.target.value }))}
+                />
+              </div>
+            ))}
+          </div>
+        </details>
+        <p className="text-xs text-gray-500">{t("roi.disclaimer")}</p>
+      </CardContent>
+    </Card>
+  );
+}
+
+// ============================
+// BOOKING – demo slot picker + confirmation
+// ============================
+const localTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+const zoneLabel = (zone) => zone.replace(/_/g, " ");
+
+function timeZoneOptions(current) {
+  const zones = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : [];
+  return zones.includes(current) ? zones : [current, ...zones];
+}
+
+function BookingStep({ lead, topInsight, submitting, error, onBack, onBook }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [timeZone, setTimeZone] = useState(localTimeZone);
+  const [contact, setContact] = useState(() => ({
+    name: lead.name,
+    email: lead.email,
+    phone: "",
+    notes: topInsight ? t("booking.notesPrefill", { insight: topInsight.text }) : "",
+  }));
+  const [slot, setSlot] = useState(null);
+  const [day, setDay] = useState(null);
+  const [invalid, setInvalid] = useState(false);
+
+  // slots anyone booked stay taken (GET /availability); fetched again after a booking lost the race
+  const [busy, setBusy] = useState([]);
+  const slotTaken = error === "errors.slotTaken";
+  useEffect(() => {
+    if (slotTaken) setSlot(null);
+    if (!CONFIG.booking.availabilityUrl) return;
+    let live = true;
+    fetch(CONFIG.booking.availabilityUrl)
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
+      .then((data) => live && setBusy(data.busy))
+      .catch((e) => console.warn("Availability unavailable, offering every slot:", e));
+    return () => {
+      live = false;
+    };
+  }, [slotTaken]);
+  const slots = useMemo(() => generateSlots(BOOKING, { busy }), [busy]);
+  const days = useMemo(() => {
+    const byDay = new Map();
+    slots.forEach((s) => {
+      const key = dayKey(new Date(s.start), timeZone);
+      if (!byDay.has(key)) byDay.set(key, []);
+      byDay.get(key).push(s);
+    });
+    return [...byDay].map(([key, list]) => ({ key, slots: list }));
+  }, [slots, timeZone]);
+  const shownDay = days.find((d) => d.key === day) || days[0];
+
+  const dayLabel = (iso) => i18n.dateTime(new Date(iso), { timeZone, weekday: "short", month: "short", day: "numeric" });
+  const timeLabel = (iso) => i18n.dateTime(new Date(iso), { timeZone, hour: "numeric", minute: "2-digit" });
+
+  function update(field, value) {
+    setContact((c) => ({ ...c, [field]: value }));
+  }
+
+  function submit() {
+    if (!slot || !contact.name || !emailValid(contact.email)) {
+      setInvalid(true);
+      return;
+    }
+    onBook({
+      ...contact,
+      start: slot.start,
+      end: slot.end,
+      timeZone,
+      hostTimeZone: BOOKING.timeZone,
+      durationMin: BOOKING.durationMin,
+      insightRuleId: topInsight ? topInsight.ruleId : null,
+    });
+  }
+
+  return (
+    <section className="max-w-3xl mx-auto">
+      <Button variant="ghost" className="rounded-2xl mb-4" onClick={onBack}>
+        <ArrowLeft className="me-2 w-4 h-4 rtl:-scale-x-100"/> {t("booking.back")}
+      </Button>
+      <Card className="rounded-3xl shadow-lg border-0">
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2"><CalendarDays className="w-5 h-5"/> {t("booking.title", { minutes: BOOKING.durationMin })}</CardTitle>
+          <p className="text-sm text-gray-600">{t("booking.subtitle")}</p>
+        </CardHeader>
+        <CardContent className="space-y-6">
+          <div>
+            <Label htmlFor="booking-zone">{t("booking.timeZone")}</Label>
+            <select
+              id="booking-zone"
+              className="mt-1 h-9 w-full rounded-xl border bg-white px-3 text-sm"
+              value={timeZone}
+              onChange={(e) => {
+                setTimeZone(e.target.value);
+                setDay(null);
+              }}
+            >
+              {timeZoneOptions(timeZone).map((z) => <option key={z} value={z}>{zoneLabel(z)}</option>)}
+            </select>
+          </div>
+
+          {days.length === 0 ? (
+            <p className="text-sm text-gray-600">{t("booking.noSlots", { days: BOOKING.horizonDays })}</p>
+          ) : (
+            <div className="space-y-3">
+              <div className="flex gap-2 overflow-x-auto pb-1">
+                {days.map((d) => (
+                  <Button
+                    key={d.key}
+                    size="sm"
+                    variant={d.key === shownDay.key ? "default" : "outline"}
+                    className="rounded-2xl shrink-0"
+                    onClick={() => setDay(d.key)}
+                  >
+                    {dayLabel(d.slots[0].start)}
+                  </Button>
+                ))}
+              </div>
+              <div className="grid grid-cols-3 sm:grid-cols-5 gap-2">
+                {shownDay.slots.map((s) => (
+                  <Button
+                    key={s.start}
+                    size="sm"
+                    variant={slot && slot.start === s.start ? "default" : "outline"}
+                    className="rounded-xl"
+                    onClick={() => setSlot(s)}
+                  >
+                    {timeLabel(s.start)}
+                  </Button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="grid md:grid-cols-2 gap-4">
+            <div>
+              <Label htmlFor="booking-name">{t("lead.name")}</Label>
+              <div className="flex items-center gap-2 mt-1">
+                <User className="w-4 h-4 text-gray-500"/>
+                <Input id="booking-name" value={contact.name} onChange={(e) => update("name", e.target.value)} />
+              </div>
+            </div>
+            <div>
+              <Label htmlFor="booking-email">{t("lead.email")}</Label>
+              <div className="flex items-center gap-2 mt-1">
+                <Mail className="w-4 h-4 text-gray-500"/>
+                <Input id="booking-email" type="email" value={contact.email} onChange={(e) => update("email", e.target.value)} />
+              </div>
+            </div>
+            <div>
+              <Label htmlFor="booking-phone">{t("booking.phone")}</Label>
+              <div className="flex items-center gap-2 mt-1">
+                <Phone className="w-4 h-4 text-gray-500"/>
+                <Input id="booking-phone" type="tel" value={contact.phone} onChange={(e) => update("phone", e.target.value)} />
+              </div>
+            </div>
+            <div className="md:col-span-2">
+              <Label htmlFor="booking-notes">{t("booking.notes")}</Label>
+              <Textarea id="booking-notes" className="mt-1" value={contact.notes} onChange={(e) => update("notes", e.target.value)} />
+            </div>
+          </div>
+
+          {(invalid || error) && (
+            <div className="text-sm text-red-600 flex items-center gap-2">
+              <AlertTriangle className="w-4 h-4"/> {invalid ? t("errors.bookingInvalid") : t(error)}
+            </div>
+          )}
+
+          <Button onClick={submit} disabled={submitting || !slot} className="rounded-2xl w-full">
+            {submitting && <Loader2 className="w-4 h-4 me-2 animate-spin"/>}
+            {slot ? t("booking.confirm", { when: `${dayLabel(slot.start)}, ${timeLabel(slot.start)}` }) : t("booking.pickTime")}
+          </Button>
+        </CardContent>
+      </Card>
+    </section>
+  );
+}
+
+function BookingConfirmation({ booking, error, onDownloadIcs, onBack }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const when = (timeZone) =>
+    i18n.dateTime(new Date(booking.start), { timeZone, dateStyle: "full", timeStyle: "short" }) + ` (${zoneLabel(timeZone)})`;
+
+  return (
+    <section className="max-w-xl mx-auto">
+      <Card className="rounded-3xl shadow-lg border-0 text-center">
+        <CardHeader>
+          <CalendarCheck className="w-10 h-10 mx-auto text-green-600"/>
+          <CardTitle className="text-2xl">{t("booking.confirmedTitle")}</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4 text-gray-700">
+          <p className="text-lg font-medium">{when(booking.timeZone)}</p>
+          {booking.hostTimeZone !== booking.timeZone && (
+            <p className="text-sm text-gray-500">{t("booking.hostTime", { when: when(booking.hostTimeZone) })}</p>
+          )}
+          <p className="text-sm">{t("booking.confirmedBody", { email: booking.email })}</p>
+          {error && (
+            <div className="text-sm text-amber-700 flex items-center justify-center gap-2"><AlertTriangle className="w-4 h-4"/> {t(error)}</div>
+          )}
+          <div className="flex flex-wrap justify-center gap-3 pt-2">
+            <Button className="rounded-2xl" onClick={onDownloadIcs}>
+              <Download className="w-4 h-4 me-2"/> {t("booking.downloadIcs")}
+            </Button>
+            <Button variant="ghost" className="rounded-2xl" onClick={onBack}>{t("booking.back")}</Button>
+          </div>
+        </CardContent>
+      </Card>
+    </section>
+  );
+}
+
+// ============================
+// RESUME – welcome back, resume codes + magic links (#/resume/<code>)
+// ============================
+function WelcomeBack({ name, stale, onContinue, onStartOver }) {
+  const { t } = useI18n();
+  return (
+    <Card className="max-w-xl mx-auto rounded-3xl border-0 shadow-lg">
+      <CardHeader>
+        <CardTitle className="text-2xl">{name ? t("resume.welcomeNamed", { name }) : t("resume.welcome")}</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4 text-gray-700">
+        <p>{t("resume.prompt")}</p>
+        {stale && (
+          <p className="text-sm text-amber-700 flex items-center gap-2"><AlertTriangle className="w-4 h-4 shrink-0"/> {t("resume.updated")}</p>
+        )}
+        <div className="flex flex-wrap gap-3">
+          <Button className="rounded-2xl" onClick={onContinue}>
+            {t("resume.continue")} <ArrowRight className="ms-2 w-4 h-4 rtl:-scale-x-100"/>
+          </Button>
+          <Button variant="ghost" className="rounded-2xl" onClick={onStartOver}>{t("resume.startOver")}</Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+// below the quiz; the code is made on request, since it holds the progress at that moment
+function ContinueElsewhere({ onCreate }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [resume, setResume] = useState(null); // { code, expiresAt, url }
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  async function create() {
+    setBusy(true);
+    setError(false);
+    setCopied(false);
+    try {
+      setResume(await onCreate());
+    } catch (e) {
+      console.error(e);
+      setError(true);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function copy() {
+    navigator.clipboard.writeText(resume.url).then(() => setCopied(true), () => {});
+  }
+
+  return (
+    <section className="max-w-3xl mx-auto mt-6">
+      {!resume ? (
+        <div className="text-center">
+          <Button variant="ghost" className="rounded-2xl text-gray-600" onClick={create} disabled={busy}>
+            {busy ? <Loader2 className="w-4 h-4 me-2 animate-spin"/> : <Smartphone className="w-4 h-4 me-2"/>} {t("resume.continueElsewhere")}
+          </Button>
+          {error && <p className="mt-2 text-sm text-red-600">{t("resume.createError")}</p>}
+        </div>
+      ) : (
+        <Card className="rounded-3xl border-0 shadow-lg">
+          <CardHeader className="pb-1">
+            <CardTitle className="text-lg">{t("resume.title")}</CardTitle>
+            <p className="text-sm text-gray-500">{t("resume.subtitle")}</p>
+          </CardHeader>
+          <CardContent className="space-y-3 text-gray-700">
+            <div dir="ltr" className="text-center font-mono text-2xl tracking-widest" aria-label={t("resume.code")}>
+              {formatResumeCode(resume.code)}
+            </div>
+            <div className="flex gap-2">
+              <Input readOnly dir="ltr" aria-label={t("resume.link")} value={resume.url} onFocus={(e) => e.target.select()} />
+              <Button variant="outline" className="rounded-2xl shrink-0" onClick={copy}>
+                <Copy className="w-4 h-4 me-2"/> {copied ? t("resume.copied") : t("resume.copy")}
+              </Button>
+            </div>
+            <div className="flex flex-wrap items-center justify-between gap-2 text-xs text-gray-500">
+              <span>{t("resume.expires", { date: i18n.date(new Date(resume.expiresAt)) })}</span>
+              <Button variant="ghost" size="sm" className="rounded-2xl" onClick={create} disabled={busy}>{t("resume.refresh")}</Button>
+            </div>
+            <p className="text-xs text-gray-500">{t("resume.privacy")}</p>
+          </CardContent>
+        </Card>
+      )}
+    </section>
+  );
+}
+
+// on the landing screen: pick up progress saved on another device by typing its code
+function ResumeCodeForm({ onResume }) {
+  const { t } = useI18n();
+  const [code, setCode] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [invalid, setInvalid] = useState(false);
+
+  async function submit(e) {
+    e.preventDefault();
+    const normalized = normalizeResumeCode(code);
+    setInvalid(!normalized);
+    if (!normalized) return;
+    setBusy(true);
+    try {
+      await onResume(normalized);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <form onSubmit={submit} className="max-w-md mx-auto mt-10 space-y-2 text-sm text-gray-600">
+      <Label htmlFor="resume-code">{t("resume.haveCode")}</Label>
+      <div className="flex gap-2">
+        <Input
+          id="resume-code"
+          dir="ltr"
+          autoComplete="off"
+          spellCheck={false}
+          placeholder="ABCD-EFGH-JKLM"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          aria-invalid={invalid}
+        />
+        <Button type="submit" variant="outline" className="rounded-2xl shrink-0" disabled={busy}>
+          {busy && <Loader2 className="w-4 h-4 me-2 animate-spin"/>} {t("resume.resume")}
+        </Button>
+      </div>
+      {invalid && <p className="text-red-600">{t("resume.invalidCode")}</p>}
+    </form>
+  );
+}
+
+// ============================
+// SHARING – read-only results links (#/shared/<id>)
+// ============================
+function ShareCard({ shares, onShare, onRevoke }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [days, setDays] = useState(CONFIG.share.defaultExpiryDays);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(""); // message key
+  const [copied, setCopied] = useState(null);
+  const live = shares.filter((s) => Date.parse(s.expiresAt) > Date.now());
+
+  async function run(action, errorKey) {
+    setBusy(true);
+    setError("");
+    try {
+      await action();
+    } catch (e) {
+      console.error(e);
+      setError(errorKey);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function copy(share) {
+    // the link stays selectable in its field when the clipboard is off-limits
+    navigator.clipboard.writeText(share.url).then(() => setCopied(share.id), () => {});
+  }
+
+  return (
+    <Card className="rounded-3xl border-0 shadow-lg mt-6">
+      <CardHeader className="pb-1">
+        <CardTitle className="text-lg">{t("share.title")}</CardTitle>
+        <p className="text-sm text-gray-500">{t("share.subtitle")}</p>
+      </CardHeader>
+      <CardContent className="space-y-4 text-gray-700">
+        <div className="flex flex-wrap items-end gap-3">
+          <div>
+            <Label htmlFor="share-expiry" className="text-xs text-gray-500">{t("share.expiry")}</Label>
+            <select
+              id="share-expiry"
+              className="mt-1 block h-9 rounded-xl border bg-white px-3 text-sm"
+              value={days}
+              onChange={(e) => setDays(Number(e.target.value))}
+            >
+              {CONFIG.share.expiryDays.map((d) => <option key={d} value={d}>{t("share.days", { count: d })}</option>)}
+            </select>
+          </div>
+          <Button className="rounded-2xl" onClick={() => run(() => onShare(days), "share.createError")} disabled={busy}>
+            {busy ? <Loader2 className="w-4 h-4 me-2 animate-spin"/> : <Share2 className="w-4 h-4 me-2"/>} {t("share.create")}
+          </Button>
+        </div>
+        {error && (
+          <div className="text-sm text-red-600 flex items-center gap-2"><AlertTriangle className="w-4 h-4"/> {t(error)}</div>
+        )}
+        {live.length > 0 && (
+          <ul className="space-y-3">
+            {live.map((s) => (
+              <li key={s.id} className="rounded-2xl bg-slate-50 p-3 space-y-2">
+                <div className="flex gap-2">
+                  <Input readOnly dir="ltr" aria-label={t("share.link")} value={s.url} onFocus={(e) => e.target.select()} />
+                  <Button variant="outline" className="rounded-2xl shrink-0" onClick={() => copy(s)}>
+                    <Copy className="w-4 h-4 me-2"/> {copied === s.id ? t("share.copied") : t("share.copy")}
+                  </Button>
+                </div>
+                <div className="flex items-center justify-between text-xs text-gray-500">
+                  <span>{t("share.expires", { date: i18n.date(new Date(s.expiresAt)) })}</span>
+                  <Button variant="ghost" size="sm" className="rounded-2xl text-red-600" onClick={() => run(() => onRevoke(s.id), "share.revokeError")} disabled={busy}>
+                    {t("share.revoke")}
+                  </Button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+        <p className="text-xs text-gray-500">{t("share.privacy")}</p>
+      </CardContent>
+    </Card>
+  );
+}
+
+// The report behind a shared link, recomputed from the snapshot's answers in the reader's language
+function SharedResults({ id, locale, onLocaleChange }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [share, setShare] = useState({ status: "loading" });
+
+  useEffect(() => {
+    let live = true;
+    setShare({ status: "loading" });
+    fetch(`${CONFIG.share.url}/${encodeURIComponent(id)}`)
+      .then(async (res) => {
+        if (res.status === 404) return { status: "missing" };
+        if (res.status === 410) return { status: "expired" };
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return { status: "ready", ...(await res.json()) };
+      })
+      .catch((e) => {
+        console.error(e);
+        return { status: "unavailable" };
+      })
+      .then((next) => live && setShare(next));
+    return () => {
+      live = false;
+    };
+  }, [id]);
+
+  const report = useMemo(() => {
+    if (share.status !== "ready") return null;
+    const bundle = localeBundle(locale);
+    const branch = applyBranching(bundle.quiz, share.snapshot.answers);
+    return { branch, ...evaluate(bundle, branch.answers, branch.questions) };
+  }, [share, locale]);
+
+  return (
+    <>
+      <header className={headerClass}>
+        <div className="mx-auto max-w-6xl px-4 py-3 flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <div className={classNames("w-8 h-8 rounded-2xl", CONFIG.brand.accent)} />
+            <span className="font-semibold">{CONFIG.brand.name}</span>
+          </div>
+          <div className="flex items-center gap-4 text-sm text-gray-600">
+            <div className="flex items-center gap-2"><Lock className="w-4 h-4"/> {t("share.readOnly")}</div>
+            <LanguageSelect locale={locale} onChange={onLocaleChange} />
+          </div>
+        </div>
+      </header>
+
+      <main className="mx-auto max-w-5xl px-4 py-8 md:py-12">
+        {share.status === "loading" && (
+          <div className="flex justify-center text-gray-500"><Loader2 className="w-6 h-6 animate-spin"/></div>
+        )}
+        {["missing", "expired", "unavailable"].includes(share.status) && (
+          <Card className="max-w-md mx-auto rounded-3xl border-0 shadow-lg">
+            <CardContent className="p-6 text-center space-y-2">
+              <AlertTriangle className="w-8 h-8 mx-auto text-amber-500"/>
+              <p className="font-medium">{t(`share.${share.status}`)}</p>
+            </CardContent>
+          </Card>
+        )}
+        {report && (
+          <>
+            <p className="max-w-4xl mx-auto mb-4 text-sm text-gray-500">
+              {t("share.sharedOn", { date: i18n.date(new Date(share.createdAt)), expires: i18n.date(new Date(share.expiresAt)) })}
+            </p>
+            <Results
+              lead={null}
+              region={share.snapshot.region}
+              questions={report.branch.questions}
+              answers={report.branch.answers}
+              score={report.score}
+              noteTags={report.noteTags}
+              insights={report.insights.slice(0, INSIGHTS.maxInsights)}
+              nextStep={report.nextStep}
+            />
+          </>
+        )}
+      </main>
+    </>
+  );
+}
+
+// ============================
+// ADMIN – lead dashboard (#/admin)
+// ============================
+const ADMIN_SESSION_KEY = "ai-intake-admin";
+const NO_FILTERS = { color: "", status: "", clinicSize: "", desiredOutcome: "", from: "", to: "" };
+const statusStyles = { new: "bg-blue-50 text-blue-700", contacted: "bg-amber-50 text-amber-700", booked: "bg-green-50 text-green-700" };
+
+function AdminDashboard({ locale, onLocaleChange }) {
+  // unlocked for the rest of the tab session only
+  const [unlocked, setUnlocked] = useState(() => {
+    try {
+      return sessionStorage.getItem(ADMIN_SESSION_KEY) === "1";
+    } catch {
+      return false;
+    }
+  });
+
+  function setSession(open) {
+    try {
+      if (open) sessionStorage.setItem(ADMIN_SESSION_KEY, "1");
+      else sessionStorage.removeItem(ADMIN_SESSION_KEY);
+    } catch {}
+    setUnlocked(open);
+  }
+
+  return (
+    <>
+      <AdminHeader locale={locale} onLocaleChange={onLocaleChange} onLock={unlocked ? () => setSession(false) : null} />
+      <main className="mx-auto max-w-6xl px-4 py-8">
+        {unlocked ? <LeadDashboard locale={locale} /> : <AdminLogin onUnlock={() => setSession(true)} />}
+      </main>
+    </>
+  );
+}
+
+function AdminHeader({ locale, onLocaleChange, onLock }) {
+  const { t } = useI18n();
+  return (
+    <header className="sticky top-0 z-30 border-b bg-white/70 backdrop-blur">
+      <div className="mx-auto max-w-6xl px-4 py-3 flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <div className={classNames("w-8 h-8 rounded-2xl", CONFIG.brand.accent)} />
+          <span className="font-semibold">{CONFIG.brand.name}</span>
+          <span className="text-gray-400">/</span>
+          <span className="flex items-center gap-1 text-gray-700"><Users className="w-4 h-4"/> {t("admin.title")}</span>
+        </div>
+        <div className="flex items-center gap-4 text-sm text-gray-600">
+          <a href="#/" className="hover:underline">{t("admin.backToFunnel")}</a>
+          <LanguageSelect locale={locale} onChange={onLocaleChange} />
+          {onLock && (
+            <Button variant="ghost" size="sm" className="rounded-2xl" onClick={onLock}>
+              <Lock className="w-4 h-4 me-2"/> {t("admin.lock")}
+            </Button>
+          )}
+        </div>
+      </div>
+    </header>
+  );
+}
+
+function AdminLogin({ onUnlock }) {
+  const { t } = useI18n();
+  const [passcode, setPasscode] = useState("");
+  const [error, setError] = useState(false);
+  const [checking, setChecking] = useState(false);
+
+  async function submit(e) {
+    e.preventDefault();
+    setChecking(true);
+    const ok = await passcodeMatches(passcode, CONFIG.admin.passcodeSha256);
+    setChecking(false);
+    if (ok) onUnlock();
+    else setError(true);
+  }
+
+  return (
+    <section className="max-w-sm mx-auto">
+      <Card className="rounded-3xl shadow-lg border-0">
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2"><Lock className="w-5 h-5"/> {t("admin.passcodeTitle")}</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={submit} className="grid gap-4">
+            <div>
+              <Label htmlFor="passcode">{t("admin.passcode")}</Label>
+              <Input id="passcode" type="password" autoFocus value={passcode} onChange={(e) => { setPasscode(e.target.value); setError(false); }} />
+            </div>
+            {error && (
+              <div className="text-sm text-red-600 flex items-center gap-2"><AlertTriangle className="w-4 h-4"/> {t("admin.wrongPasscode")}</div>
+            )}
+            <Button type="submit" disabled={checking || !passcode} className="rounded-2xl">
+              {checking && <Loader2 className="w-4 h-4 me-2 animate-spin"/>} {t("admin.unlock")}
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+    </section>
+  );
+}
+
+function FilterSelect({ label, value, onChange, options }) {
+  return (
+    <select
+      aria-label={label}
+      className="h-9 rounded-xl border bg-white px-3 text-sm"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+    >
+      <option value="">{label}</option>
+      {options.map((o) => <option key={o.id} value={o.id}>{o.label}</option>)}
+    </select>
+  );
+}
+
+function StatusBadge({ status }) {
+  const { t } = useI18n();
+  return <span className={classNames("px-2 py-0.5 rounded-full text-xs font-medium", statusStyles[status])}>{t(`admin.statuses.${status}`)}</span>;
+}
+
+function LeadDashboard({ locale }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const { quiz } = localeBundle(locale);
+  const [records, setRecords] = useState(() => leadStore.all());
+  const [filters, setFilters] = useState(NO_FILTERS);
+  const [selectedId, setSelectedId] = useState(null);
+  useEffect(() => leadStore.subscribe(setRecords), []);
+
+  const shown = useMemo(() => filterLeads(records, filters, QUIZ), [records, filters]);
+  const selected = records.find((r) => r.id === selectedId);
+  const sizeQ = quiz.byRole.clinicSize;
+  const outcomeQ = quiz.byRole.desiredOutcome;
+
+  function setFilter(key, value) {
+    setFilters((f) => ({ ...f, [key]: value }));
+  }
+
+  function exportCsv() {
+    // BOM so spreadsheet apps read the UTF-8 names and translations correctly
+    const csv = "\ufeff" + leadsToCsv(shown, quiz, i18n.answerFormat);
+    saveFile(`ai-intake-leads-${new Date().toISOString().slice(0, 10)}.csv`, csv, "text/csv;charset=utf-8");
+  }
+
+  if (selected) return <LeadDetail record={selected} locale={locale} onBack={() => setSelectedId(null)} />;
+
+  const answerLabel = (q, r) => (q && r.answers && r.answers[q.id] !== undefined ? formatAnswer(q, r.answers[q.id], i18n.answerFormat) : "—");
+
+  return (
+    <section>
+      <div className="flex flex-wrap items-end justify-between gap-3 mb-4">
+        <div>
+          <h1 className="text-2xl font-bold">{t("admin.title")}</h1>
+          <p className="text-sm text-gray-500">{t("admin.count", { count: shown.length })} · {t("admin.localNotice")}</p>
+        </div>
+        <Button variant="outline" className="rounded-2xl" onClick={exportCsv} disabled={!shown.length}>
+          <Download className="w-4 h-4 me-2"/> {t("admin.exportCsv")}
+        </Button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <FilterSelect
+          label={t("admin.anyColor")}
+          value={filters.color}
+          onChange={(v) => setFilter("color", v)}
+          options={["green", "amber", "red"].map((c) => ({ id: c, label: t(`status.${c}`) }))}
+        />
+        <FilterSelect
+          label={t("admin.anyStatus")}
+          value={filters.status}
+          onChange={(v) => setFilter("status", v)}
+          options={LEAD_STATUSES.map((s) => ({ id: s, label: t(`admin.statuses.${s}`) }))}
+        />
+        {sizeQ && <FilterSelect label={sizeQ.summary || sizeQ.text} value={filters.clinicSize} onChange={(v) => setFilter("clinicSize", v)} options={sizeQ.options} />}
+        {outcomeQ && <FilterSelect label={outcomeQ.summary || outcomeQ.text} value={filters.desiredOutcome} onChange={(v) => setFilter("desiredOutcome", v)} options={outcomeQ.options} />}
+        <label className="flex items-center gap-1 text-sm text-gray-600">
+          {t("admin.from")}
+          <Input type="date" className="h-9 w-auto" value={filters.from} onChange={(e) => setFilter("from", e.target.value)} />
+        </label>
+        <label className="flex items-center gap-1 text-sm text-gray-600">
+          {t("admin.to")}
+          <Input type="date" className="h-9 w-auto" value={filters.to} onChange={(e) => setFilter("to", e.target.value)} />
+        </label>
+        <Button variant="ghost" size="sm" className="rounded-2xl" onClick={() => setFilters(NO_FILTERS)}>{t("admin.clearFilters")}</Button>
+      </div>
+
+      <Card className="rounded-2xl overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="text-start text-gray-500 border-b">
+            <tr>
+              <th className="p-3 text-start font-medium">{t("admin.date")}</th>
+              <th className="p-3 text-start font-medium">{t("lead.name")}</th>
+              <th className="p-3 text-start font-medium">{t("lead.email")}</th>
+              {sizeQ && <th className="p-3 text-start font-medium">{sizeQ.summary}</th>}
+              {outcomeQ && <th className="p-3 text-start font-medium">{outcomeQ.summary}</th>}
+              <th className="p-3 text-start font-medium">{t("admin.score")}</th>
+              <th className="p-3 text-start font-medium">{t("admin.status")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {shown.map((r) => (
+              <tr key={r.id} className="border-b last:border-0 hover:bg-slate-50 cursor-pointer" onClick={() => setSelectedId(r.id)}>
+                <td className="p-3 whitespace-nowrap">{i18n.date(new Date(r.createdAt))}</td>
+                <td className="p-3">{r.lead?.name || "—"}</td>
+                <td className="p-3">{r.lead?.email || "—"}</td>
+                {sizeQ && <td className="p-3">{answerLabel(sizeQ, r)}</td>}
+                {outcomeQ && <td className="p-3">{answerLabel(outcomeQ, r)}</td>}
+                <td className="p-3">
+                  {r.score ? (
+                    <span className="flex items-center gap-2">
+                      <span className={classNames("w-2.5 h-2.5 rounded-full", barColors[r.score.color])} /> {i18n.percent(r.score.pct)}
+                    </span>
+                  ) : "—"}
+                </td>
+                <td className="p-3"><StatusBadge status={r.status} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {!shown.length && (
+          <div className="p-6 text-center text-sm text-gray-500">{records.length ? t("admin.noMatches") : t("admin.empty")}</div>
+        )}
+      </Card>
+    </section>
+  );
+}
+
+function LeadDetail({ record, locale, onBack }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [note, setNote] = useState("");
+  // re-evaluated from the stored answers so it reads in the admin's language;
+  // record.score is what the lead saw and is what the CSV exports
+  const view = useMemo(() => {
+    if (!record.answers) return null;
+    const bundle = localeBundle(locale);
+    const branch = applyBranching(bundle.quiz, record.answers);
+    return { ...branch, ...evaluate(bundle, branch.answers, branch.questions) };
+  }, [record, locale]);
+
+  function addNote() {
+    if (leadStore.addNote(record.id, note)) setNote("");
+  }
+
+  return (
+    <section className="max-w-4xl mx-auto">
+      <Button variant="ghost" className="rounded-2xl mb-4" onClick={onBack}>
+        <ArrowLeft className="me-2 w-4 h-4 rtl:-scale-x-100"/> {t("admin.allLeads")}
+      </Button>
+
+      <Card className="rounded-3xl border-0 shadow-lg mb-6">
+        <CardContent className="pt-6 flex flex-wrap items-center justify-between gap-4">
+          <div>
+            <div className="text-xl font-semibold">{record.lead?.name || "—"}</div>
+            <div className="text-sm text-gray-600">
+              {record.lead?.email && <a href={`mailto:${record.lead.email}`} className="hover:underline">{record.lead.email}</a>}
+              {record.lead?.location && <> · {record.lead.location}</>}
+            </div>
+            <div className="text-xs text-gray-500 mt-1">{t("admin.captured", { date: i18n.date(new Date(record.createdAt)) })}</div>
+            {record.booking && (
+              <div className="text-sm text-green-700 mt-1 flex items-center gap-1">
+                <CalendarCheck className="w-4 h-4"/>
+                {t("admin.demoAt", { when: i18n.dateTime(new Date(record.booking.start), { dateStyle: "medium", timeStyle: "short" }) })}
+              </div>
+            )}
+          </div>
+          <div className="flex gap-2">
+            {LEAD_STATUSES.map((s) => (
+              <Button
+                key={s}
+                size="sm"
+                variant={record.status === s ? "default" : "outline"}
+                className="rounded-2xl"
+                onClick={() => leadStore.setStatus(record.id, s)}
+              >
+                {t(`admin.statuses.${s}`)}
+              </Button>
+            ))}
+          </div>
+        </CardContent>
+      </Card>
+
+      {view ? (
+        <Results
+          lead={record.lead || {}}
+          questions={view.questions}
+          answers={view.answers}
+          score={view.score}
+          noteTags={view.noteTags}
+          insights={view.insights.slice(0, INSIGHTS.maxInsights)}
+          nextStep={view.nextStep}
+          onRestart={null}
+          onDownloadPdf={null}
+          onDownloadJson={null}
+        />
+      ) : (
+        <div className="text-sm text-gray-600 flex items-center gap-2"><Clock className="w-4 h-4"/> {t("admin.notCompleted")}</div>
+      )}
+
+      <Card className="rounded-3xl border-0 shadow-lg mt-6">
+        <CardHeader className="pb-1"><CardTitle className="text-lg">{t("admin.notes")}</CardTitle></CardHeader>
+        <CardContent className="space-y-3">
+          {record.notes.map((n, i) => (
+            <div key={i} className="text-sm">
+              <div className="text-xs text-gray-500">{i18n.date(new Date(n.at))}</div>
+              <div className="whitespace-pre-wrap text-gray-800">{n.text}</div>
+            </div>
+          ))}
+          <Textarea placeholder={t("admin.notePlaceholder")} value={note} onChange={(e) => setNote(e.target.value)} />
+          <Button className="rounded-2xl" onClick={addNote} disabled={!note.trim()}>{t("admin.addNote")}</Button>
         </CardContent>
       </Card>
     </section>
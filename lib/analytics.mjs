@@ -0,0 +1,148 @@
+/**
+ * Funnel analytics – typed events, batched to pluggable sinks
+ *
+ * Every event is { name, at, sessionId, ...context, props } where `name` is
+ * one of EVENTS and `props` carries that event's required fields. Unknown
+ * names or missing props are rejected at `track` time (console warning), so
+ * a typo can't silently pollute the stream.
+ *
+ * Consent: with `requireConsent`, events tracked before consent is granted
+ * are dropped, not kept for later – granting consent doesn't replay what the
+ * visitor did before agreeing. Withdrawing it drops anything not yet sent.
+ * Events are batched in a bounded in-memory buffer; whatever is still in it
+ * when the page goes away is discarded.
+ *
+ * Sinks are objects with `send(events, { beacon })`; see consoleSink,
+ * collectorSink and dataLayerSink, or pass your own.
+ */
+
+export const EVENTS = {
+  stage_viewed: ["stage"],
+  question_answered: ["questionId"],
+  question_changed: ["questionId"],
+  question_time: ["questionId", "ms"],
+  validation_error: ["stage", "fields"],
+  submit_succeeded: ["eventType"],
+  submit_failed: ["eventType"],
+  restart: ["fromStage"],
+  download: ["format"],
+  share_created: ["expiresInDays"],
+  share_revoked: [],
+  data_cleared: [],
+  resume_code_created: [],
+  resumed: ["stage"],
+  locale_changed: ["locale"],
+};
+
+const MAX_BUFFER = 200;
+
+export function consoleSink() {
+  return {
+    send(events) {
+      events.forEach((e) => console.info("[analytics]", e.name, e.props));
+    },
+  };
+}
+
+/** POSTs batches as JSON to a collector; uses sendBeacon while the page unloads. */
+export function collectorSink(url) {
+  return {
+    async send(events, { beacon } = {}) {
+      const body = JSON.stringify({ events });
+      if (beacon && typeof navigator !== "undefined" && navigator.sendBeacon) {
+        navigator.sendBeacon(url, new Blob([body], { type: "application/json" }));
+        return;
+      }
+      const res = await fetch(url, { method: "POST", headers: { "Content-Type": "application/json" }, body, keepalive: true });
+      if (!res.ok) throw new Error(`Collector responded ${res.status}`);
+    },
+  };
+}
+
+/**
+ * Pushes GTM-style objects ({ event, at, sessionId, visitorId, experiments, ...props }) onto
+ * window[name]; the visitor and variants come along so tag-manager reports can split by variant.
+ */
+export function dataLayerSink(name = "dataLayer", target = typeof window !== "undefined" ? window : globalThis) {
+  return {
+    send(events) {
+      target[name] = target[name] || [];
+      events.forEach((e) =>
+        target[name].push({ event: e.name, at: e.at, sessionId: e.sessionId, visitorId: e.visitorId, experiments: e.experiments, ...e.props })
+      );
+    },
+  };
+}
+
+export function sinkFromConfig(cfg) {
+  switch (cfg.type) {
+    case "console":
+      return consoleSink();
+    case "collector":
+      return cfg.url ? collectorSink(cfg.url) : null;
+    case "dataLayer":
+      return dataLayerSink(cfg.name);
+    default:
+      return null;
+  }
+}
+
+export function createAnalytics({ sinks = [], requireConsent = true, batchSize = 10, flushIntervalMs = 5000, now = () => new Date() } = {}) {
+  let consent = !requireConsent;
+  let context = {};
+  let queue = [];
+  let timer = null;
+
+  function send(batch, opts) {
+    sinks.forEach((sink) => {
+      Promise.resolve()
+        .then(() => sink.send(batch, opts))
+        .catch((e) => console.warn("[analytics] sink failed", e));
+    });
+  }
+
+  function flush(opts = {}) {
+    if (!queue.length) return;
+    const batch = queue;
+    queue = [];
+    send(batch, opts);
+  }
+
+  function track(name, props = {}) {
+    if (!consent) return;
+    const required = EVENTS[name];
+    if (!required) {
+      console.warn(`[analytics] unknown event "${name}"`);
+      return;
+    }
+    const missing = required.filter((k) => props[k] === undefined);
+    if (missing.length) {
+      console.warn(`[analytics] ${name} is missing ${missing.join(", ")}`);
+      return;
+    }
+    queue.push({ name, at: now().toISOString(), ...context, props });
+    if (queue.length > MAX_BUFFER) queue = queue.slice(-MAX_BUFFER);
+    if (queue.length >= batchSize) flush();
+  }
+
+  function setConsent(granted) {
+    consent = Boolean(granted);
+    if (!consent) queue = [];
+  }
+
+  function setContext(next) {
+    context = { ...context, ...next };
+  }
+
+  function start() {
+    const onHide = () => flush({ beacon: true });
+    timer = setInterval(() => flush(), flushIntervalMs);
+    if (typeof window !== "undefined") window.addEventListener("pagehide", onHide);
+    return () => {
+      clearInterval(timer);
+      if (typeof window !== "undefined") window.removeEventListener("pagehide", onHide);
+    };
+  }
+
+  return { track, flush, setConsent, setContext, start };
+}
@@ -0,0 +1,69 @@
+/**
+ * Marketing attribution – first + last touch
+ *
+ * Captured on every funnel load and persisted next to the lead:
+ *
+ * {
+ *   firstTouch: Touch,   // set once, never overwritten
+ *   lastTouch:  Touch    // replaced whenever a visit carries campaign signal
+ * }
+ *
+ * Touch = { utm_source, utm_medium, utm_campaign, utm_term, utm_content,
+ *           gclid, fbclid, referrer, landingUrl, at }
+ *
+ * A plain reload or an internal navigation (no UTM/click id, same-site or
+ * empty referrer) keeps the previous last touch, so attribution isn't lost
+ * when a visitor comes back directly to finish the quiz. The landing URL is
+ * stored without its fragment: #/resume/<code> links carry a resume code that
+ * must not end up in CRM fields or reports.
+ */
+
+export const CAMPAIGN_PARAMS = ["utm_source", "utm_medium", "utm_campaign", "utm_term", "utm_content", "gclid", "fbclid"];
+
+function externalReferrer(referrer, landing) {
+  if (!referrer) return "";
+  try {
+    return new URL(referrer).host === landing.host ? "" : referrer;
+  } catch {
+    return "";
+  }
+}
+
+export function touchFrom({ url, referrer = "", now = new Date() }) {
+  const landing = new URL(url);
+  const touch = {};
+  CAMPAIGN_PARAMS.forEach((p) => {
+    const v = landing.searchParams.get(p);
+    if (v) touch[p] = v;
+  });
+  touch.referrer = externalReferrer(referrer, landing);
+  landing.hash = "";
+  touch.landingUrl = landing.href;
+  touch.at = now.toISOString();
+  return touch;
+}
+
+export function hasCampaignSignal(touch) {
+  return CAMPAIGN_PARAMS.some((p) => touch[p]) || Boolean(touch.referrer);
+}
+
+/** Merges the current visit into the stored attribution (null on the first visit). */
+export function captureAttribution(previous, visit) {
+  const touch = touchFrom(visit);
+  if (!previous || !previous.firstTouch) return { firstTouch: touch, lastTouch: touch };
+  if (!hasCampaignSignal(touch)) return previous;
+  return { ...previous, lastTouch: touch };
+}
+
+/** "key=value" pairs for reports, e.g. first_utm_source=google */
+export function attributionSummary(attribution) {
+  if (!attribution) return [];
+  const out = [];
+  [["first", attribution.firstTouch], ["last", attribution.lastTouch]].forEach(([prefix, touch]) => {
+    if (!touch) return;
+    [...CAMPAIGN_PARAMS, "referrer", "landingUrl", "at"].forEach((k) => {
+      if (touch[k]) out.push([`${prefix}_${k}`, touch[k]]);
+    });
+  });
+  return out;
+}
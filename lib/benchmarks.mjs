@@ -0,0 +1,197 @@
+/**
+ * Peer benchmarks – "how do I compare to clinics like mine?"
+ *
+ * A cohort dataset (benchmarks.json, or GET /benchmarks on
+ * server/intake-server.mjs, which builds one from stored results):
+ *
+ * {
+ *   version, minSample, source?,
+ *   regions: { [regionId]: ["country or alias", …] },
+ *   cohorts: [{
+ *     clinicSize?, region?,              // neither = every clinic
+ *     sample,                            // results behind the numbers
+ *     overall: [p0, p10, …, p100],       // overall score deciles
+ *     questions: { [qid]: pct }          // % following the best practice
+ *   }]
+ * }
+ *
+ * The visitor is matched on clinic size (the `clinicSize` question) and the
+ * region their lead location falls in, falling back to broader cohorts while
+ * a cohort has fewer than `minSample` results.
+ */
+
+import { answerFor } from "./quizSchema.mjs";
+
+export class BenchmarkError extends Error {
+  constructor(errors) {
+    super(`Invalid benchmarks:\n- ${errors.join("\n- ")}`);
+    this.name = "BenchmarkError";
+    this.errors = errors;
+  }
+}
+
+const DECILES = 11;
+
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+const isPct = (v) => isNum(v) && v >= 0 && v <= 100;
+
+// yes/no questions with a best answer: the ones a peer comparison makes sense for
+export function practiceQuestions(quiz) {
+  return quiz.questions.filter((q) => q.type === "yesno" && q.scoring && q.scoring.best);
+}
+
+export function validateBenchmarks(def, quiz) {
+  const errors = [];
+  if (!isObj(def)) return ["benchmarks must be an object"];
+  if (!Number.isInteger(def.minSample) || def.minSample < 1) errors.push("minSample must be a positive integer");
+  if (!isObj(def.regions)) errors.push("regions must be an object");
+  const sizes = (quiz.byRole.clinicSize?.options || []).map((o) => o.id);
+  const practices = new Set(practiceQuestions(quiz).map((q) => q.id));
+  if (!Array.isArray(def.cohorts)) errors.push("cohorts must be an array");
+  else
+    def.cohorts.forEach((c, i) => {
+      const at = `cohorts[${i}]`;
+      if (!isObj(c)) return errors.push(`${at} must be an object`);
+      if (c.clinicSize !== undefined && !sizes.includes(c.clinicSize)) errors.push(`${at}.clinicSize "${c.clinicSize}" is not a clinic size option`);
+      if (c.region !== undefined && !(isObj(def.regions) && c.region in def.regions)) errors.push(`${at}.region "${c.region}" is not in regions`);
+      if (!Number.isInteger(c.sample) || c.sample < 0) errors.push(`${at}.sample must be a non-negative integer`);
+      if (!Array.isArray(c.overall) || c.overall.length !== DECILES || !c.overall.every(isPct))
+        errors.push(`${at}.overall must be ${DECILES} percentages (p0, p10 … p100)`);
+      else if (c.overall.some((v, j) => j > 0 && v < c.overall[j - 1])) errors.push(`${at}.overall must be ascending`);
+      if (!isObj(c.questions)) errors.push(`${at}.questions must be an object`);
+      else
+        Object.entries(c.questions).forEach(([qid, pct]) => {
+          if (!practices.has(qid)) errors.push(`${at}.questions.${qid} is not a best-practice question`);
+          else if (!isPct(pct)) errors.push(`${at}.questions.${qid} must be 0–100`);
+        });
+    });
+  return errors;
+}
+
+export function loadBenchmarks(def, quiz) {
+  const errors = validateBenchmarks(def, quiz);
+  if (errors.length) throw new BenchmarkError(errors);
+  return def;
+}
+
+const norm = (s) => String(s || "").trim().toLowerCase();
+
+/** Region id for a free-text "City, Country" location, or null. Matches the last comma part first. */
+export function regionFor(location, regions) {
+  const parts = norm(location).split(/[,،]/).map((p) => p.trim()).filter(Boolean).reverse();
+  for (const part of parts) {
+    const hit = Object.keys(regions).find((id) => regions[id].some((alias) => norm(alias) === part));
+    if (hit) return hit;
+  }
+  return null;
+}
+
+/** Most specific cohort with enough results: size + region, size, region, everyone. */
+export function pickCohort(data, { clinicSize, region }) {
+  const wanted = [
+    { clinicSize, region },
+    { clinicSize, region: undefined },
+    { clinicSize: undefined, region },
+    { clinicSize: undefined, region: undefined },
+  ];
+  for (const w of wanted) {
+    const hit = data.cohorts.find((c) => c.clinicSize === w.clinicSize && c.region === w.region && c.sample >= data.minSample);
+    if (hit) return hit;
+  }
+  return null;
+}
+
+/** Percentile rank (0–100) of `value` among cohort deciles, interpolated; ties take the middle. */
+export function percentileRank(deciles, value) {
+  const step = 100 / (deciles.length - 1);
+  if (value < deciles[0]) return 0;
+  if (value > deciles[deciles.length - 1]) return 100;
+  const first = deciles.findIndex((d) => d >= value);
+  if (deciles[first] === value) {
+    let last = first;
+    while (last + 1 < deciles.length && deciles[last + 1] === value) last++;
+    return Math.round(((first + last) / 2) * step);
+  }
+  const lo = deciles[first - 1];
+  const hi = deciles[first];
+  return Math.round((first - 1 + (value - lo) / (hi - lo)) * step);
+}
+
+/**
+ * You vs. peers, or null without a usable cohort:
+ * { cohort: { clinicSize, region, sample },
+ *   overall: { you, median, percentile },
+ *   questions: [{ id, you, peers, percentile }] }   // you: followed the best practice
+ * A practice question's percentile is the mid-rank among peers who do / don't follow it.
+ * A known `region` id (e.g. from a shared snapshot) is used instead of `location`.
+ */
+export function compareToPeers(data, quiz, { answers, score, location, region: knownRegion }) {
+  const clinicSize = answerFor(quiz, answers, "clinicSize");
+  const region = knownRegion || regionFor(location, data.regions) || undefined;
+  const cohort = pickCohort(data, { clinicSize, region });
+  if (!cohort) return null;
+  const questions = practiceQuestions(quiz)
+    .filter((q) => cohort.questions[q.id] !== undefined && answers[q.id] !== undefined)
+    .map((q) => {
+      const peers = cohort.questions[q.id];
+      const you = answers[q.id] === q.scoring.best;
+      return { id: q.id, you, peers, percentile: Math.round(you ? 100 - peers / 2 : (100 - peers) / 2) };
+    });
+  return {
+    cohort: { clinicSize: cohort.clinicSize ?? null, region: cohort.region ?? null, sample: cohort.sample },
+    overall: { you: score.pct, median: cohort.overall[5], percentile: percentileRank(cohort.overall, score.pct) },
+    questions,
+  };
+}
+
+function quantile(sorted, p) {
+  const pos = (sorted.length - 1) * p;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function cohortOf(results, quiz, key) {
+  const scores = results.map((r) => r.score.pct).sort((a, b) => a - b);
+  const questions = {};
+  practiceQuestions(quiz).forEach((q) => {
+    const answered = results.filter((r) => r.answers[q.id] !== undefined);
+    if (answered.length) questions[q.id] = Math.round((answered.filter((r) => r.answers[q.id] === q.scoring.best).length / answered.length) * 100);
+  });
+  return {
+    ...key,
+    sample: results.length,
+    overall: Array.from({ length: DECILES }, (_, i) => Math.round(quantile(scores, i / (DECILES - 1)))),
+    questions,
+  };
+}
+
+/**
+ * Cohort dataset built from stored lead records (lib/leadStore.mjs shape).
+ * Cohorts under `minSample` are left out so small groups can't be picked apart.
+ */
+export function buildBenchmarks(records, quiz, { regions, minSample }) {
+  const results = records.filter((r) => r.score && r.answers);
+  const groups = new Map();
+  const add = (key, r) => {
+    const id = `${key.clinicSize || "*"}|${key.region || "*"}`;
+    if (!groups.has(id)) groups.set(id, { key, results: [] });
+    groups.get(id).results.push(r);
+  };
+  results.forEach((r) => {
+    const clinicSize = answerFor(quiz, r.answers, "clinicSize");
+    const region = regionFor(r.lead && r.lead.location, regions) || undefined;
+    add({}, r);
+    if (clinicSize) add({ clinicSize }, r);
+    if (region) add({ region }, r);
+    if (clinicSize && region) add({ clinicSize, region }, r);
+  });
+  return {
+    version: 1,
+    minSample,
+    source: `Built from ${results.length} stored results`,
+    regions,
+    cohorts: [...groups.values()].filter((g) => g.results.length >= minSample).map((g) => cohortOf(g.results, quiz, g.key)),
+  };
+}
@@ -0,0 +1,204 @@
+/**
+ * Demo booking – availability rules, open slots and .ics invites
+ *
+ * Availability is plain config (CONFIG.booking):
+ *
+ * {
+ *   timeZone: "America/New_York",     // the host's zone; hours below are wall-clock there
+ *   durationMin: 20,
+ *   bufferMin: 10,                    // gap kept after every meeting
+ *   minNoticeHours: 12,               // earliest bookable start, from now
+ *   horizonDays: 14,                  // how far ahead slots are offered
+ *   hours: { mon: ["09:00-12:00", "13:00-17:00"], …, sun: [] },
+ *   blackoutDates: ["2026-12-25"],    // host-local days with no slots
+ * }
+ *
+ * Slots are returned as UTC instants, so the visitor can see them in any
+ * zone. Time-zone math uses Intl only (no date library), DST included.
+ */
+
+export class BookingRulesError extends Error {
+  constructor(errors) {
+    super(`Invalid booking rules:\n- ${errors.join("\n- ")}`);
+    this.name = "BookingRulesError";
+    this.errors = errors;
+  }
+}
+
+export const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const MINUTE = 60 * 1000;
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const RANGE_RE = /^([01]\d|2[0-3]):([0-5]\d)-([01]\d|2[0-4]):([0-5]\d)$/;
+
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const isCount = (v) => Number.isInteger(v) && v >= 0;
+
+function parseRange(range) {
+  const m = RANGE_RE.exec(range);
+  if (!m) return null;
+  const from = Number(m[1]) * 60 + Number(m[2]);
+  const to = Number(m[3]) * 60 + Number(m[4]);
+  return to > from && to <= 24 * 60 ? { from, to } : null;
+}
+
+export function validateBookingRules(rules) {
+  const errors = [];
+  if (!isObj(rules)) return ["booking rules must be an object"];
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: rules.timeZone });
+  } catch {
+    errors.push(`timeZone "${rules.timeZone}" is not a known IANA zone`);
+  }
+  if (!(Number.isInteger(rules.durationMin) && rules.durationMin > 0)) errors.push("durationMin must be a positive integer");
+  ["bufferMin", "minNoticeHours", "horizonDays"].forEach((k) => {
+    if (!isCount(rules[k])) errors.push(`${k} must be a non-negative integer`);
+  });
+  if (!isObj(rules.hours)) errors.push("hours must be an object keyed by weekday");
+  else
+    Object.entries(rules.hours).forEach(([day, ranges]) => {
+      if (!WEEKDAYS.includes(day)) errors.push(`hours.${day} is not a weekday (${WEEKDAYS.join(", ")})`);
+      else if (!Array.isArray(ranges)) errors.push(`hours.${day} must be an array`);
+      else ranges.forEach((r, i) => parseRange(r) || errors.push(`hours.${day}[${i}] must look like "09:00-12:00"`));
+    });
+  (rules.blackoutDates || []).forEach((d, i) => DAY_RE.test(d) || errors.push(`blackoutDates[${i}] must be YYYY-MM-DD`));
+  return errors;
+}
+
+export function loadBookingRules(rules) {
+  const errors = validateBookingRules(rules);
+  if (errors.length) throw new BookingRulesError(errors);
+  return { blackoutDates: [], ...rules };
+}
+
+const partFormats = {};
+function zoneParts(date, timeZone) {
+  if (!partFormats[timeZone])
+    partFormats[timeZone] = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+  const p = {};
+  partFormats[timeZone].formatToParts(date).forEach(({ type, value }) => (p[type] = Number(value)));
+  return p;
+}
+
+// how far `timeZone` is ahead of UTC at `date`
+function zoneOffset(date, timeZone) {
+  const p = zoneParts(date, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/** "YYYY-MM-DD" of `date` as seen in `timeZone`. */
+export function dayKey(date, timeZone) {
+  const p = zoneParts(date, timeZone);
+  return `${p.year}-${String(p.month).padStart(2, "0")}-${String(p.day).padStart(2, "0")}`;
+}
+
+/** UTC instant of wall-clock `minutes` past midnight on `day` in `timeZone`. */
+export function zonedTime(day, minutes, timeZone) {
+  const [y, m, d] = day.split("-").map(Number);
+  const wall = Date.UTC(y, m - 1, d) + minutes * MINUTE;
+  // the offset at the guess can differ from the one at the answer around DST changes; one correction settles it
+  const first = wall - zoneOffset(new Date(wall), timeZone);
+  return new Date(wall - zoneOffset(new Date(first), timeZone));
+}
+
+/**
+ * Open slots [{ start, end }] (ISO, UTC) from `now` to the horizon.
+ * `busy` is a list of { start, end } already taken; the buffer is kept on
+ * both sides of them.
+ */
+export function generateSlots(rules, { now = new Date(), busy = [] } = {}) {
+  const duration = rules.durationMin * MINUTE;
+  const buffer = rules.bufferMin * MINUTE;
+  const earliest = now.getTime() + rules.minNoticeHours * 60 * MINUTE;
+  const taken = busy.map((b) => [Date.parse(b.start) - buffer, Date.parse(b.end) + buffer]);
+  const [y, m, d] = dayKey(now, rules.timeZone).split("-").map(Number);
+  const slots = [];
+
+  for (let i = 0; i <= rules.horizonDays; i++) {
+    const date = new Date(Date.UTC(y, m - 1, d + i));
+    const day = date.toISOString().slice(0, 10);
+    if (rules.blackoutDates.includes(day)) continue;
+    (rules.hours[WEEKDAYS[date.getUTCDay()]] || []).forEach((range) => {
+      const { from, to } = parseRange(range);
+      for (let t = from; t + rules.durationMin <= to; t += rules.durationMin + rules.bufferMin) {
+        const start = zonedTime(day, t, rules.timeZone).getTime();
+        const end = start + duration;
+        if (start < earliest || taken.some(([a, b]) => start < b && end > a)) continue;
+        slots.push({ start: new Date(start).toISOString(), end: new Date(end).toISOString() });
+      }
+    });
+  }
+  return slots;
+}
+
+// ---- .ics (RFC 5545) ----
+
+const icsText = (s) => String(s).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+const icsTime = (iso) => new Date(iso).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+const encoder = new TextEncoder();
+
+// content lines are folded at 75 octets without splitting a character
+function fold(line) {
+  const out = [];
+  let current = "";
+  let size = 0;
+  for (const ch of line) {
+    const bytes = encoder.encode(ch).length;
+    if (size + bytes > (out.length ? 74 : 75)) {
+      out.push(current);
+      current = "";
+      size = 0;
+    }
+    current += ch;
+    size += bytes;
+  }
+  out.push(current);
+  return out.join("\r\n ");
+}
+
+// parameter values are quoted, not escaped, and can't hold a double quote
+function person(role, { name, email }, extra = "") {
+  return `${role};CN="${String(name || email).replace(/["\r\n]/g, "")}"${extra}:mailto:${email}`;
+}
+
+/**
+ * A single-event calendar file. `organizer` / `attendee` are { name, email };
+ * `url` is the meeting link, if any.
+ */
+export function buildIcs({ uid, start, end, summary, description = "", location = "", url = "", organizer, attendee, now = new Date() }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//AI Intake//Demo booking//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `DTSTAMP:${icsTime(now)}`,
+    `DTSTART:${icsTime(start)}`,
+    `DTEND:${icsTime(end)}`,
+    `SUMMARY:${icsText(summary)}`,
+    description && `DESCRIPTION:${icsText(description)}`,
+    (location || url) && `LOCATION:${icsText(location || url)}`,
+    url && `URL:${url}`,
+    organizer && organizer.email && person("ORGANIZER", organizer),
+    attendee && attendee.email && person("ATTENDEE", attendee, ";ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED"),
+    "BEGIN:VALARM",
+    "ACTION:DISPLAY",
+    `DESCRIPTION:${icsText(summary)}`,
+    "TRIGGER:-PT15M",
+    "END:VALARM",
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ].filter(Boolean);
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,143 @@
+/**
+ * Conditions + branching
+ *
+ * A condition is JSON, so it can live next to the questions in quiz.json:
+ *
+ *   { "q": "q3", "eq": "yes" }                     leaf on a question id
+ *   { "role": "clinicSize", "in": ["...", "..."] } leaf on a tagged question
+ *   { "all": [..] } | { "any": [..] } | { "not": {..} }
+ *
+ * Leaf operators (several on one leaf are AND-ed): eq, ne, in, notIn,
+ * includes (multi-select), answered (true/false), gt, gte, lt, lte.
+ *
+ * Questions use them as `showIf` (hide unless true) and `jump`
+ * ([{ if, to }] – when true, skip forward to question `to` or "end").
+ */
+
+const OPS = ["eq", "ne", "in", "notIn", "includes", "answered", "gt", "gte", "lt", "lte"];
+
+function isEmpty(v) {
+  return v === undefined || v === null || v === "" || (Array.isArray(v) && v.length === 0);
+}
+
+function testLeaf(value, cond) {
+  return OPS.every((op) => {
+    if (!(op in cond)) return true;
+    const arg = cond[op];
+    switch (op) {
+      case "eq":
+        return value === arg;
+      case "ne":
+        return value !== arg;
+      case "in":
+        return arg.includes(value);
+      case "notIn":
+        return !arg.includes(value);
+      case "includes":
+        return Array.isArray(value) && value.includes(arg);
+      case "answered":
+        return isEmpty(value) !== arg;
+      case "gt":
+        return typeof value === "number" && value > arg;
+      case "gte":
+        return typeof value === "number" && value >= arg;
+      case "lt":
+        return typeof value === "number" && value < arg;
+      case "lte":
+        return typeof value === "number" && value <= arg;
+      default:
+        return true;
+    }
+  });
+}
+
+/**
+ * Evaluates a condition tree. `resolve(leaf)` returns the value a leaf talks
+ * about, which lets other modules add their own leaf kinds. A missing
+ * condition is true.
+ */
+export function evaluateCondition(cond, resolve) {
+  if (!cond) return true;
+  if (cond.all) return cond.all.every((c) => evaluateCondition(c, resolve));
+  if (cond.any) return cond.any.some((c) => evaluateCondition(c, resolve));
+  if (cond.not) return !evaluateCondition(cond.not, resolve);
+  return testLeaf(resolve(cond), cond);
+}
+
+/** Resolver for `q` / `role` leaves against a loaded quiz. */
+export function answerResolver(quiz, answers) {
+  return (leaf) => {
+    if (leaf.q) return answers[leaf.q];
+    if (leaf.role && quiz.byRole[leaf.role]) return answers[quiz.byRole[leaf.role].id];
+    return undefined;
+  };
+}
+
+/**
+ * Schema check used by lib/quizSchema.mjs. `isKnownLeaf(leaf)` returns an
+ * error string for leaves it does not understand, or null.
+ */
+export function validateCondition(cond, at, isKnownLeaf, errors) {
+  if (cond === null || typeof cond !== "object" || Array.isArray(cond)) {
+    errors.push(`${at} must be a condition object`);
+    return;
+  }
+  if ("all" in cond || "any" in cond) {
+    const key = "all" in cond ? "all" : "any";
+    if (!Array.isArray(cond[key]) || cond[key].length === 0) errors.push(`${at}.${key} must be a non-empty array`);
+    else cond[key].forEach((c, i) => validateCondition(c, `${at}.${key}[${i}]`, isKnownLeaf, errors));
+    return;
+  }
+  if ("not" in cond) {
+    validateCondition(cond.not, `${at}.not`, isKnownLeaf, errors);
+    return;
+  }
+  const problem = isKnownLeaf(cond);
+  if (problem) errors.push(`${at} ${problem}`);
+  const ops = OPS.filter((op) => op in cond);
+  if (ops.length === 0) errors.push(`${at} needs one of ${OPS.join(", ")}`);
+  ["in", "notIn"].forEach((op) => {
+    if (op in cond && !Array.isArray(cond[op])) errors.push(`${at}.${op} must be an array`);
+  });
+  if ("answered" in cond && typeof cond.answered !== "boolean") errors.push(`${at}.answered must be true or false`);
+}
+
+function walk(quiz, answers) {
+  const resolve = answerResolver(quiz, answers);
+  const questions = [];
+  let jumpTo = null;
+  for (const q of quiz.questions) {
+    if (jumpTo) {
+      if (q.id !== jumpTo) continue;
+      jumpTo = null;
+    }
+    if (!evaluateCondition(q.showIf, resolve)) continue;
+    questions.push(q);
+    const jump = (q.jump || []).find((j) => evaluateCondition(j.if, resolve));
+    if (jump) jumpTo = jump.to;
+  }
+  return questions;
+}
+
+function pick(answers, questions) {
+  const out = {};
+  questions.forEach((q) => {
+    if (answers[q.id] !== undefined) out[q.id] = answers[q.id];
+  });
+  return out;
+}
+
+/**
+ * Visible questions plus the answers that belong to them. Answers given to a
+ * question that later became hidden are kept in storage but dropped here, and
+ * the walk is repeated until stable so they cannot keep other questions shown.
+ */
+export function applyBranching(quiz, answers) {
+  let questions = walk(quiz, answers);
+  for (let i = 0; i < quiz.questions.length; i++) {
+    const next = walk(quiz, pick(answers, questions));
+    if (next.length === questions.length && next.every((q, j) => q === questions[j])) break;
+    questions = next;
+  }
+  return { questions, answers: pick(answers, questions) };
+}
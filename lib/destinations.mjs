@@ -0,0 +1,252 @@
+/**
+ * Lead destinations – fan one event out to several targets
+ *
+ * A destination is plain config:
+ *
+ *   { id, type, enabled, url, headers?, events?, fieldMap?, sign?, maxAttempts? }
+ *
+ * - type picks a built-in mapper (see MAPPERS): webhook, hubspot, salesforce,
+ *   sheets, zapier
+ * - events limits which envelope types it receives (default: all)
+ * - fieldMap overrides the mapper's default fields: { targetField: sourcePath }
+ *   where sourcePath is a key of `toRecord(envelope)` (e.g. "lead.email",
+ *   "answers.q11", "score.category.booking", "attribution.firstTouch.utm_source"),
+ *   or { value } for a constant.
+ *   Map a field to null to drop it.
+ * - sign: send the HMAC signature header (defaults to true for "webhook" only)
+ * - maxAttempts: give up after this many failed deliveries (default: never)
+ *
+ * A deletionRequest ("clear my data") must never reach a CRM as a contact
+ * write. Mappers that create contacts say how to erase one instead (`erase`,
+ * e.g. HubSpot's GDPR delete by email), or set `erase: null` to refuse it –
+ * leave deletionRequest out of such a destination's `events`.
+ *
+ * `deliver` takes a `timeoutMs`; a request (signing included) that takes
+ * longer is aborted and counts as a retryable failure.
+ *
+ * `buildRequest` is pure, so every mapper can be exercised against a local
+ * mock server (server/mock-destinations.mjs) without touching real CRMs.
+ */
+
+export class DeliveryError extends Error {
+  constructor(message, { status = null, retryable = true } = {}) {
+    super(message);
+    this.name = "DeliveryError";
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+const HONORIFIC = /^(dr|mr|mrs|ms|mx|prof)\.?\s+/i;
+
+function splitName(name = "") {
+  const parts = name.replace(HONORIFIC, "").trim().split(/\s+/).filter(Boolean);
+  if (parts.length <= 1) return { firstName: "", lastName: parts[0] || "" };
+  return { firstName: parts.slice(0, -1).join(" "), lastName: parts[parts.length - 1] };
+}
+
+function plain(value) {
+  if (Array.isArray(value)) return value.join("; ");
+  if (value !== null && typeof value === "object") return JSON.stringify(value);
+  return value;
+}
+
+/** Flat, destination-neutral view of an envelope: { "lead.email": …, "answers.q1": …, … } */
+export function toRecord(envelope) {
+  const { data = {} } = envelope;
+  const lead = data.lead || {};
+  const record = {
+    eventId: envelope.eventId,
+    type: envelope.type,
+    occurredAt: envelope.occurredAt,
+    sessionId: envelope.sessionId,
+    quizId: envelope.quiz && envelope.quiz.id,
+    quizVersion: envelope.quiz && envelope.quiz.version,
+    locale: data.locale,
+  };
+  Object.entries(lead).forEach(([k, v]) => (record[`lead.${k}`] = plain(v)));
+  const { firstName, lastName } = splitName(lead.name);
+  record["lead.firstName"] = firstName;
+  record["lead.lastName"] = lastName;
+  Object.entries(data.answers || {}).forEach(([k, v]) => (record[`answers.${k}`] = plain(v)));
+  if (data.attribution) {
+    ["firstTouch", "lastTouch"].forEach((touch) =>
+      Object.entries(data.attribution[touch] || {}).forEach(([k, v]) => (record[`attribution.${touch}.${k}`] = v))
+    );
+  }
+  Object.entries(data.experiments || {}).forEach(([k, v]) => (record[`experiments.${k}`] = v));
+  if (data.score) {
+    ["pct", "color", "raw", "max"].forEach((k) => (record[`score.${k}`] = data.score[k]));
+    (data.score.categories || []).forEach((c) => (record[`score.category.${c.id}`] = c.pct));
+  }
+  if (data.insights) {
+    record["insights.top"] = data.insights[0] ? data.insights[0].text : "";
+    record["insights.ruleIds"] = data.insights.map((i) => i.ruleId).join("; ");
+  }
+  if (data.nextStep) {
+    record["nextStep.text"] = data.nextStep.text.replace(/\*\*/g, "");
+    record["nextStep.ruleId"] = data.nextStep.ruleId;
+  }
+  if (data.noteTags) {
+    record["noteTags.topics"] = data.noteTags.topics.join("; ");
+    ["urgency", "sentiment"].forEach((k) => (record[`noteTags.${k}`] = data.noteTags[k]));
+  }
+  if (data.leadScore) {
+    ["pct", "tier"].forEach((k) => (record[`leadScore.${k}`] = data.leadScore[k]));
+    record["leadScore.signals"] = data.leadScore.signals.map((s) => s.id).join("; ");
+    record["leadScore.route"] = data.leadScore.route.id;
+    ["owner", "calendar", "sequence"].forEach((k) => (record[`leadScore.${k}`] = data.leadScore.route[k]));
+  }
+  if (data.booking) {
+    ["start", "end", "timeZone"].forEach((k) => (record[`booking.${k}`] = data.booking[k]));
+  }
+  if (data.progress) {
+    ["stage", "pct", "reason"].forEach((k) => (record[`progress.${k}`] = data.progress[k]));
+    record["progress.answeredIds"] = plain(data.progress.answeredIds);
+  }
+  if (data.consent) {
+    ["version", "textSha256", "channel", "grantedAt"].forEach((k) => (record[`consent.${k}`] = data.consent[k]));
+  }
+  // a deletionRequest names only the email, so receivers can find the contact to erase
+  if (data.email && !data.lead) record["lead.email"] = data.email;
+  if (data.roi) {
+    ["currency", "lostRevenue", "intakeCost", "monthlySavings", "annualSavings"].forEach((k) => (record[`roi.${k}`] = data.roi[k]));
+  }
+  return record;
+}
+
+export function applyFieldMap(record, fieldMap) {
+  const out = {};
+  Object.entries(fieldMap).forEach(([target, source]) => {
+    if (source === null) return;
+    const value = typeof source === "object" ? source.value : record[source];
+    if (value !== undefined) out[target] = value;
+  });
+  return out;
+}
+
+function flatKeys(record) {
+  const out = {};
+  Object.entries(record).forEach(([k, v]) => {
+    if (v !== undefined) out[k.replace(/\./g, "_")] = v;
+  });
+  return out;
+}
+
+export const MAPPERS = {
+  // the raw envelope, unless the destination asks for a flat field map
+  webhook: {
+    fields: null,
+    body: (envelope, mapped) => mapped || envelope,
+  },
+  // HubSpot CRM v3 contact: POST /crm/v3/objects/contacts
+  hubspot: {
+    fields: {
+      email: "lead.email",
+      firstname: "lead.firstName",
+      lastname: "lead.lastName",
+      city: "lead.location",
+      ai_intake_event: "type",
+      ai_intake_score: "score.pct",
+      ai_intake_status: "score.color",
+      ai_intake_next_step: "nextStep.text",
+    },
+    body: (envelope, mapped) => ({ properties: mapped }),
+    // GDPR delete by email: POST /crm/v3/objects/contacts/gdpr-delete
+    erase: (dest, record) => ({ url: `${dest.url.replace(/\/+$/, "")}/gdpr-delete`, body: { objectId: record["lead.email"], idProperty: "email" } }),
+  },
+  // Salesforce Lead sObject: POST /services/data/vXX.X/sobjects/Lead
+  salesforce: {
+    fields: {
+      FirstName: "lead.firstName",
+      LastName: "lead.lastName",
+      Email: "lead.email",
+      City: "lead.location",
+      Company: { value: "[not provided]" },
+      LeadSource: { value: "AI Intake Quiz" },
+      Description: "nextStep.text",
+    },
+    body: (envelope, mapped) => mapped,
+    // deleting a Lead needs its Id (a SOQL lookup first); do that behind a proxy, not from here
+    erase: null,
+  },
+  // Google Sheets values.append: columns follow the fieldMap key order
+  sheets: {
+    fields: {
+      Timestamp: "occurredAt",
+      Event: "type",
+      Name: "lead.name",
+      Email: "lead.email",
+      Location: "lead.location",
+      Score: "score.pct",
+      Status: "score.color",
+      "Next step": "nextStep.text",
+      Session: "sessionId",
+      Source: "attribution.lastTouch.utm_source",
+      Campaign: "attribution.lastTouch.utm_campaign",
+      "Event ID": "eventId",
+      "Lead tier": "leadScore.tier",
+      Owner: "leadScore.owner",
+    },
+    body: (envelope, mapped, fieldMap) => ({
+      values: [Object.keys(fieldMap).filter((k) => fieldMap[k] !== null).map((k) => (k in mapped ? mapped[k] : ""))],
+    }),
+  },
+  // Zapier catch hook: one flat object, every record field with "_" keys
+  zapier: {
+    fields: null,
+    body: (envelope, mapped, fieldMap, record) => mapped || flatKeys(record),
+  },
+};
+
+export function acceptsEvent(dest, envelope) {
+  return dest.enabled !== false && (!dest.events || dest.events.includes(envelope.type));
+}
+
+/** { url, method, headers, body } for one destination – no I/O. */
+export function buildRequest(dest, envelope) {
+  const mapper = MAPPERS[dest.type];
+  if (!mapper) throw new DeliveryError(`Unknown destination type "${dest.type}"`, { retryable: false });
+  const fieldMap = mapper.fields || dest.fieldMap ? { ...(mapper.fields || {}), ...(dest.fieldMap || {}) } : null;
+  const record = toRecord(envelope);
+  if (envelope.type === "deletionRequest" && "erase" in mapper) {
+    if (!mapper.erase) throw new DeliveryError(`${dest.type} can't erase contacts; leave deletionRequest out of its events`, { retryable: false });
+    if (!record["lead.email"]) throw new DeliveryError(`${dest.id}: nothing to erase without an email`, { retryable: false });
+    const erase = mapper.erase(dest, record);
+    return { url: erase.url, method: "POST", headers: { "Content-Type": "application/json", ...(dest.headers || {}) }, body: JSON.stringify(erase.body) };
+  }
+  const mapped = fieldMap ? applyFieldMap(record, fieldMap) : null;
+  return {
+    url: dest.url,
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...(dest.headers || {}) },
+    body: JSON.stringify(mapper.body(envelope, mapped, fieldMap, record)),
+  };
+}
+
+export function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Sends one event to one destination. `signHeaders(body)` adds signature
+ * headers when the destination is signed. Throws DeliveryError; `retryable`
+ * is false for 4xx responses that would fail the same way again.
+ */
+export async function deliver(dest, envelope, { fetchImpl = fetch, signHeaders = async () => ({}), extraHeaders = {}, timeoutMs = 0 } = {}) {
+  const req = buildRequest(dest, envelope);
+  const sign = dest.sign ?? dest.type === "webhook";
+  const controller = new AbortController();
+  const timer = timeoutMs > 0 ? setTimeout(() => controller.abort(), timeoutMs) : null;
+  let res;
+  try {
+    const headers = { ...req.headers, ...extraHeaders, ...(sign ? await signHeaders(req.body, controller.signal) : {}) };
+    res = await fetchImpl(req.url, { method: req.method, headers, body: req.body, keepalive: true, signal: controller.signal });
+  } catch (e) {
+    throw new DeliveryError(controller.signal.aborted ? `${dest.id}: no response within ${timeoutMs} ms` : `${dest.id}: ${e.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
+  if (!res.ok)
+    throw new DeliveryError(`${dest.id} responded ${res.status}`, { status: res.status, retryable: isRetryableStatus(res.status) });
+}
@@ -0,0 +1,146 @@
+/**
+ * Embedded widget – iframe URL parameters + the postMessage host API
+ *
+ * A host page mounts the funnel in an iframe (lib/embedHost.mjs does it
+ * from a script tag). The iframe URL tells the funnel it is embedded:
+ *
+ *   ?embed=1
+ *   &ns=<namespace>        // storage namespace, so hosts never share saved progress
+ *   &origin=<host origin>  // the only origin messages are posted to / accepted from
+ *   &primary=<#rrggbb>     // button + accent color
+ *   &transparent=1         // no page background, the host's shows through
+ *   &lang=<locale>         // optional, as on the full page
+ *
+ * Every message either way is { source: "ai-intake", version: 1, type, ...payload }.
+ *
+ * Widget -> host
+ *   ready                                      listening; send a prefill now
+ *   resize        { height }                   content height in px
+ *   started       { sessionId }                the visitor left the landing screen
+ *   leadCaptured  { sessionId }                contact details submitted
+ *   completed     { sessionId, score: { pct, color } }
+ *   booked        { sessionId, start, end, timeZone }
+ *
+ * Host -> widget
+ *   prefill       { lead: { name?, email?, location? } }   fills empty fields only
+ *
+ * Lifecycle messages never carry contact details or answers: the host page
+ * already has what it prefilled, and the backend receives the rest.
+ */
+
+export const EMBED_SOURCE = "ai-intake";
+export const EMBED_VERSION = 1;
+export const LIFECYCLE_EVENTS = ["started", "leadCaptured", "completed", "booked"];
+export const PREFILL_FIELDS = ["name", "email", "location"];
+
+const MAX_PREFILL_LENGTH = 200;
+const HEX_RE = /^#?([0-9a-f]{6})$/i;
+
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+/** Lowercase letters, digits and dashes only, at most 40 chars; "" when nothing is left. */
+export function sanitizeNamespace(ns) {
+  return String(ns || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9-]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 40);
+}
+
+function originOf(value) {
+  try {
+    const { origin } = new URL(value);
+    return origin === "null" ? null : origin;
+  } catch {
+    return null;
+  }
+}
+
+/** Widget settings from the iframe's query string, or null when not embedded. */
+export function parseEmbedParams(search) {
+  const params = new URLSearchParams(search);
+  if (params.get("embed") !== "1") return null;
+  const hex = HEX_RE.exec(params.get("primary") || "");
+  return {
+    namespace: sanitizeNamespace(params.get("ns")) || "default",
+    parentOrigin: originOf(params.get("origin")),
+    theme: {
+      primary: hex ? `#${hex[1].toLowerCase()}` : null,
+      transparent: params.get("transparent") === "1",
+    },
+  };
+}
+
+/** iframe src for the funnel at `appUrl`; the inverse of parseEmbedParams. */
+export function embedUrl(appUrl, { namespace, origin, theme = {}, locale } = {}) {
+  const url = new URL(appUrl);
+  url.searchParams.set("embed", "1");
+  if (namespace) url.searchParams.set("ns", sanitizeNamespace(namespace));
+  if (origin) url.searchParams.set("origin", origin);
+  if (theme.primary) url.searchParams.set("primary", theme.primary);
+  if (theme.transparent) url.searchParams.set("transparent", "1");
+  if (locale) url.searchParams.set("lang", locale);
+  return url.toString();
+}
+
+/** "#7c3aed" -> "262 83% 58%", the HSL triplet shadcn/ui theme variables hold; null if not a hex color. */
+export function hexToHsl(hex) {
+  const m = HEX_RE.exec(hex || "");
+  if (!m) return null;
+  const [r, g, b] = [0, 2, 4].map((i) => parseInt(m[1].slice(i, i + 2), 16) / 255);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  const d = max - min;
+  let h = 0;
+  if (d) {
+    if (max === r) h = ((g - b) / d) % 6;
+    else if (max === g) h = (b - r) / d + 2;
+    else h = (r - g) / d + 4;
+  }
+  const s = d ? d / (1 - Math.abs(2 * l - 1)) : 0;
+  return `${Math.round((h * 60 + 360) % 360)} ${Math.round(s * 100)}% ${Math.round(l * 100)}%`;
+}
+
+export function isEmbedMessage(data) {
+  return isObj(data) && data.source === EMBED_SOURCE && data.version === EMBED_VERSION && typeof data.type === "string";
+}
+
+export function embedMessage(type, payload = {}) {
+  return { ...payload, source: EMBED_SOURCE, version: EMBED_VERSION, type };
+}
+
+/** `lead` with its empty fields filled from a host prefill; unknown or non-string fields are ignored. */
+export function prefillLead(lead, prefill) {
+  if (!isObj(prefill)) return lead;
+  const out = { ...lead };
+  PREFILL_FIELDS.forEach((k) => {
+    const v = prefill[k];
+    if (typeof v === "string" && v.trim() && !String(lead[k] || "").trim()) out[k] = v.trim().slice(0, MAX_PREFILL_LENGTH);
+  });
+  return out;
+}
+
+/**
+ * createEmbedBridge({ parentOrigin, target, self })
+ * The widget's side: post(type, payload) to the host, on(type, fn) for host
+ * messages. Without a parentOrigin both are no-ops, so nothing is ever
+ * posted with a "*" target.
+ */
+export function createEmbedBridge({ parentOrigin, target = window.parent, self = window }) {
+  function post(type, payload) {
+    if (parentOrigin) target.postMessage(embedMessage(type, payload), parentOrigin);
+  }
+
+  function on(type, fn) {
+    if (!parentOrigin) return () => {};
+    const listener = (e) => {
+      if (e.source !== target || e.origin !== parentOrigin || !isEmbedMessage(e.data) || e.data.type !== type) return;
+      fn(e.data);
+    };
+    self.addEventListener("message", listener);
+    return () => self.removeEventListener("message", listener);
+  }
+
+  return { post, on };
+}
@@ -0,0 +1,82 @@
+/**
+ * Embed loader – runs on the host page, mounts the funnel in an iframe
+ *
+ * Script tag, one widget per marked element:
+ *
+ *   <div data-ai-intake="https://quiz.example.com/"
+ *        data-namespace="smile-dental"      // optional, defaults to the host name
+ *        data-primary="#0ea5e9"             // optional theme, see lib/embed.mjs
+ *        data-transparent="1"
+ *        data-lang="es"
+ *        data-name="…" data-email="…" data-location="…"></div>   // optional prefill
+ *   <script type="module" src="https://quiz.example.com/lib/embedHost.mjs"></script>
+ *
+ * Or from code: mountIntake(element, { src, namespace, theme, locale, prefill, onEvent }).
+ *
+ * The iframe follows its content height. Lifecycle messages (lib/embed.mjs)
+ * are re-dispatched on the element as bubbling "ai-intake:<type>" DOM events
+ * with the payload as `detail`, and passed to `onEvent(type, payload)`.
+ */
+
+import { embedUrl, embedMessage, isEmbedMessage, LIFECYCLE_EVENTS, PREFILL_FIELDS } from "./embed.mjs";
+
+const MIN_HEIGHT = 480;
+
+export function mountIntake(container, { src, namespace = window.location.hostname, theme = {}, locale, prefill, onEvent, title = "Intake assessment" }) {
+  const url = embedUrl(new URL(src, window.location.href).href, { namespace, origin: window.location.origin, theme, locale });
+  const appOrigin = new URL(url).origin;
+  const iframe = document.createElement("iframe");
+  iframe.src = url;
+  iframe.title = title;
+  iframe.setAttribute("allow", "clipboard-write");
+  iframe.style.cssText = `display:block;width:100%;border:0;height:${MIN_HEIGHT}px`;
+
+  const post = (type, payload) => iframe.contentWindow && iframe.contentWindow.postMessage(embedMessage(type, payload), appOrigin);
+
+  function onMessage(e) {
+    if (e.source !== iframe.contentWindow || e.origin !== appOrigin || !isEmbedMessage(e.data)) return;
+    const { source, version, type, ...payload } = e.data;
+    if (type === "ready") {
+      if (prefill) post("prefill", { lead: prefill });
+    } else if (type === "resize") {
+      if (Number.isFinite(payload.height)) iframe.style.height = `${Math.max(MIN_HEIGHT, Math.ceil(payload.height))}px`;
+    } else if (LIFECYCLE_EVENTS.includes(type)) {
+      container.dispatchEvent(new CustomEvent(`ai-intake:${type}`, { detail: payload, bubbles: true }));
+      if (onEvent) onEvent(type, payload);
+    }
+  }
+
+  window.addEventListener("message", onMessage);
+  container.appendChild(iframe);
+  return {
+    iframe,
+    prefill: (lead) => post("prefill", { lead }),
+    destroy() {
+      window.removeEventListener("message", onMessage);
+      iframe.remove();
+    },
+  };
+}
+
+/** mountIntake options from an element's data-* attributes. */
+export function optionsFromDataset(data) {
+  const prefill = {};
+  PREFILL_FIELDS.forEach((k) => {
+    if (data[k]) prefill[k] = data[k];
+  });
+  return {
+    src: data.aiIntake,
+    namespace: data.namespace || undefined,
+    theme: { primary: data.primary, transparent: data.transparent === "1" },
+    locale: data.lang,
+    prefill: Object.keys(prefill).length ? prefill : undefined,
+  };
+}
+
+if (typeof document !== "undefined") {
+  document.querySelectorAll("[data-ai-intake]").forEach((el) => {
+    if (el.dataset.aiIntakeMounted) return;
+    el.dataset.aiIntakeMounted = "1";
+    mountIntake(el, optionsFromDataset(el.dataset));
+  });
+}
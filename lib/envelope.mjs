@@ -0,0 +1,201 @@
+/**
+ * Webhook event envelope – versioned contract + validator
+ *
+ * Every event the funnel sends is wrapped like this:
+ *
+ * {
+ *   "schema": "ai-intake.event",
+ *   "schemaVersion": 1,
+ *   "eventId": "…",            // unique; doubles as the idempotency key for retries
+ *   "type": "lead" | "quizResults" | "booking" | "progress" | "abandoned" | "deletionRequest",
+ *   "occurredAt": "ISO-8601",  // when the visitor did the thing
+ *   "sentAt": "ISO-8601",      // stamped on every delivery attempt
+ *   "sessionId": "…",          // one quiz run in one browser
+ *   "quiz": { "id": "…", "version": 1 },
+ *   "data": { … }              // per-type payload, see DATA_VALIDATORS
+ * }
+ *
+ * progress / abandoned follow a run that captured a lead but hasn't finished,
+ * so receivers can chase it up ("finish your assessment"). Both carry the
+ * lead plus data.progress = { stage, answeredIds, pct }; progress is a
+ * throttled snapshot, abandoned is sent after inactivity or when the page is
+ * hidden (progress.reason: "inactive" | "pagehide"). A reload hides the page
+ * too, so treat abandoned as "maybe" until no later event for the session
+ * arrives.
+ *
+ * A deletionRequest asks every receiver to erase what it holds for the
+ * sessionId ("clear my data"); its data only names the email, when known.
+ * Unsigned ones should only erase records of that session with that email
+ * (server/intake-server.mjs refuses them without one).
+ *
+ * Optional signing: header `X-Intake-Signature: t=<unix seconds>,v1=<hex>`
+ * where v1 = HMAC-SHA256(secret, `${t}.${rawBody}`). Receivers verify with
+ * `verifySignature` against the raw request body, before JSON parsing.
+ *
+ * Dependency-free and WebCrypto-based, so the same file runs in the browser
+ * and in Node 18+ (see server/).
+ */
+
+export const SCHEMA = "ai-intake.event";
+export const SCHEMA_VERSION = 1;
+export const SIGNATURE_HEADER = "X-Intake-Signature";
+
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const isStr = (v) => typeof v === "string" && v.length > 0;
+const isIso = (v) => isStr(v) && !Number.isNaN(Date.parse(v));
+
+export function createEventId() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+export function createEnvelope(type, data, { sessionId, quiz, eventId = createEventId(), occurredAt = new Date() }) {
+  return {
+    schema: SCHEMA,
+    schemaVersion: SCHEMA_VERSION,
+    eventId,
+    type,
+    occurredAt: occurredAt.toISOString(),
+    sessionId,
+    quiz: { id: quiz.id, version: quiz.version },
+    data,
+  };
+}
+
+function validateLead(lead, at, errors) {
+  if (!isObj(lead)) {
+    errors.push(`${at} must be an object`);
+    return;
+  }
+  if (!isStr(lead.name)) errors.push(`${at}.name is required`);
+  if (!isStr(lead.email) || !/\S+@\S+\.\S+/.test(lead.email)) errors.push(`${at}.email must be a valid email`);
+  if (lead.consent !== true) errors.push(`${at}.consent must be true`);
+}
+
+// lib/privacy.mjs consent record, optional on lead events
+function validateConsent(consent, errors) {
+  if (consent === undefined) return;
+  if (!isObj(consent)) return errors.push("data.consent must be an object");
+  if (!isStr(consent.version)) errors.push("data.consent.version is required");
+  if (!/^[0-9a-f]{64}$/.test(consent.textSha256)) errors.push("data.consent.textSha256 must be a hex SHA-256");
+  if (!isIso(consent.grantedAt)) errors.push("data.consent.grantedAt must be an ISO timestamp");
+}
+
+function validateProgress(progress, errors) {
+  if (!isObj(progress)) return errors.push("data.progress must be an object");
+  if (!isStr(progress.stage)) errors.push("data.progress.stage is required");
+  if (!Array.isArray(progress.answeredIds) || !progress.answeredIds.every(isStr)) errors.push("data.progress.answeredIds must be an array of ids");
+  if (typeof progress.pct !== "number" || progress.pct < 0 || progress.pct > 100) errors.push("data.progress.pct must be 0–100");
+}
+
+// Per-type payload checks. Extra fields are allowed so newer senders stay compatible.
+export const DATA_VALIDATORS = {
+  lead(data, errors) {
+    validateLead(data.lead, "data.lead", errors);
+    validateConsent(data.consent, errors);
+  },
+  quizResults(data, errors) {
+    validateLead(data.lead, "data.lead", errors);
+    if (!isObj(data.answers)) errors.push("data.answers must be an object");
+    const score = data.score;
+    if (!isObj(score)) errors.push("data.score must be an object");
+    else {
+      if (typeof score.pct !== "number" || score.pct < 0 || score.pct > 100) errors.push("data.score.pct must be 0–100");
+      if (!["red", "amber", "green"].includes(score.color)) errors.push("data.score.color must be red, amber or green");
+    }
+  },
+  booking(data, errors) {
+    validateLead(data.lead, "data.lead", errors);
+    const b = data.booking;
+    if (!isObj(b)) return errors.push("data.booking must be an object");
+    if (!isIso(b.start) || !isIso(b.end) || Date.parse(b.end) <= Date.parse(b.start))
+      errors.push("data.booking needs ISO start and end, end after start");
+    if (!isStr(b.timeZone)) errors.push("data.booking.timeZone is required");
+  },
+  progress(data, errors) {
+    validateLead(data.lead, "data.lead", errors);
+    validateProgress(data.progress, errors);
+  },
+  abandoned(data, errors) {
+    validateLead(data.lead, "data.lead", errors);
+    validateProgress(data.progress, errors);
+    if (isObj(data.progress) && !["inactive", "pagehide"].includes(data.progress.reason))
+      errors.push('data.progress.reason must be "inactive" or "pagehide"');
+  },
+  deletionRequest(data, errors) {
+    if (data.email !== undefined && !(isStr(data.email) && /\S+@\S+\.\S+/.test(data.email))) errors.push("data.email must be a valid email");
+  },
+};
+
+/** Returns a list of problems with an incoming event; empty when valid. */
+export function validateEnvelope(event) {
+  const errors = [];
+  if (!isObj(event)) return ["event must be an object"];
+  if (event.schema !== SCHEMA) errors.push(`schema must be "${SCHEMA}"`);
+  if (event.schemaVersion !== SCHEMA_VERSION)
+    errors.push(`schemaVersion ${event.schemaVersion} is not supported (expected ${SCHEMA_VERSION})`);
+  if (!isStr(event.eventId)) errors.push("eventId is required");
+  if (!isStr(event.sessionId)) errors.push("sessionId is required");
+  if (!isIso(event.occurredAt)) errors.push("occurredAt must be an ISO timestamp");
+  if (event.sentAt !== undefined && !isIso(event.sentAt)) errors.push("sentAt must be an ISO timestamp");
+  if (!isObj(event.quiz) || !isStr(event.quiz.id) || typeof event.quiz.version !== "number")
+    errors.push("quiz must have an id and a numeric version");
+  const check = DATA_VALIDATORS[event.type];
+  if (!check) errors.push(`type "${event.type}" is unknown`);
+  else if (!isObj(event.data)) errors.push("data must be an object");
+  else check(event.data, errors);
+  return errors;
+}
+
+// ---- signing ----
+
+const encoder = new TextEncoder();
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export async function hmacSha256Hex(secret, message) {
+  const key = await crypto.subtle.importKey("raw", encoder.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  return toHex(await crypto.subtle.sign("HMAC", key, encoder.encode(message)));
+}
+
+export function formatSignatureHeader(timestamp, signature) {
+  return `t=${timestamp},v1=${signature}`;
+}
+
+export function parseSignatureHeader(header) {
+  const parts = {};
+  String(header || "")
+    .split(",")
+    .forEach((kv) => {
+      const i = kv.indexOf("=");
+      if (i > 0) parts[kv.slice(0, i).trim()] = kv.slice(i + 1).trim();
+    });
+  const timestamp = Number(parts.t);
+  return Number.isFinite(timestamp) && parts.v1 ? { timestamp, signature: parts.v1 } : null;
+}
+
+/** Header value for `body` (the exact string that will be sent). */
+export async function signBody(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  return formatSignatureHeader(timestamp, await hmacSha256Hex(secret, `${timestamp}.${body}`));
+}
+
+function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+/**
+ * Checks a signature header against the raw body. Rejects timestamps older
+ * (or newer) than `toleranceSec` to blunt replays. Resolves { ok, reason }.
+ */
+export async function verifySignature({ body, header, secret, toleranceSec = 300, now = Date.now() }) {
+  const parsed = parseSignatureHeader(header);
+  if (!parsed) return { ok: false, reason: "missing or malformed signature header" };
+  if (Math.abs(now / 1000 - parsed.timestamp) > toleranceSec) return { ok: false, reason: "signature timestamp outside tolerance" };
+  const expected = await hmacSha256Hex(secret, `${parsed.timestamp}.${body}`);
+  return safeEqual(expected, parsed.signature) ? { ok: true } : { ok: false, reason: "signature mismatch" };
+}
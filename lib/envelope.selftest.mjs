@@ -0,0 +1,43 @@
+/**
+ * Checks for lib/envelope.mjs – the event contract and its signatures:
+ *
+ *   node lib/envelope.selftest.mjs
+ */
+
+import { createEnvelope, validateEnvelope, signBody, verifySignature, parseSignatureHeader } from "./envelope.mjs";
+
+async function selftest() {
+  let failed = 0;
+  const expect = (label, ok) => {
+    console.log(`${ok ? "ok  " : "FAIL"} ${label}`);
+    if (!ok) failed++;
+  };
+  const meta = { sessionId: "selftest", quiz: { id: "ai-intake-readiness", version: 1 }, occurredAt: new Date("2026-01-05T10:00:00Z") };
+  const lead = { name: "Ada", email: "ada@example.com", consent: true };
+
+  const ok = createEnvelope("lead", { lead }, { ...meta, eventId: "e-1" });
+  expect("createEnvelope stamps schema, id and time", ok.schema === "ai-intake.event" && ok.eventId === "e-1" && ok.occurredAt === "2026-01-05T10:00:00.000Z");
+  expect("a complete lead event is valid", validateEnvelope(ok).length === 0);
+  expect("a lead without consent is rejected", validateEnvelope(createEnvelope("lead", { lead: { ...lead, consent: false } }, meta)).includes("data.lead.consent must be true"));
+  expect("unknown types are rejected", validateEnvelope(createEnvelope("signup", {}, meta)).includes('type "signup" is unknown'));
+  expect("newer schema versions are rejected", validateEnvelope({ ...ok, schemaVersion: 2 }).length === 1);
+  const booking = (start, end) => createEnvelope("booking", { lead, booking: { start, end, timeZone: "Europe/Madrid" } }, meta);
+  expect("a booking must end after it starts", validateEnvelope(booking("2026-01-06T10:00:00Z", "2026-01-06T09:30:00Z")).length === 1);
+  expect("score pct outside 0–100 is rejected", validateEnvelope(createEnvelope("quizResults", { lead, answers: {}, score: { pct: -3, color: "red" } }, meta)).includes("data.score.pct must be 0–100"));
+  expect("a deletion request may omit the email", validateEnvelope(createEnvelope("deletionRequest", {}, meta)).length === 0);
+
+  const secret = "selftest-secret";
+  const body = JSON.stringify(ok);
+  const header = await signBody(secret, body, 1_800_000_000);
+  const now = 1_800_000_000 * 1000;
+  expect("signature header parses", parseSignatureHeader(header)?.timestamp === 1_800_000_000 && parseSignatureHeader("v1=abc") === null);
+  expect("a signed body verifies", (await verifySignature({ body, header, secret, now })).ok);
+  expect("a changed body fails", (await verifySignature({ body: body.replace("Ada", "Eve"), header, secret, now })).reason === "signature mismatch");
+  expect("a wrong secret fails", !(await verifySignature({ body, header, secret: "other", now })).ok);
+  expect("an old signature is refused", (await verifySignature({ body, header, secret, now: now + 301 * 1000 })).reason === "signature timestamp outside tolerance");
+
+  console.log(failed ? `\n${failed} check(s) failed` : "\nall checks passed");
+  process.exitCode = failed ? 1 : 0;
+}
+
+selftest();
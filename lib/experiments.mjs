@@ -0,0 +1,122 @@
+/**
+ * A/B experiments – sticky, deterministic variant assignment
+ *
+ * An experiment is plain config:
+ *
+ *   { id, enabled, variants: [{ id, weight?, copy?, questionOrder? }] }
+ *
+ * - assignment hashes `${experimentId}:${visitorId}` into the weighted
+ *   variants, so the same visitor always lands in the same bucket
+ * - assignments are persisted by the caller; a stored variant that still
+ *   exists wins over re-hashing, so changing weights never moves people
+ * - `?exp_<experimentId>=<variantId>` forces a variant (handy for QA)
+ * - `copy` overrides funnel copy keys (optionally per locale); `questionOrder`
+ *   reorders questions, and sections with them (see applyQuestionOrder), so
+ *   both quiz layouts show the new order
+ *
+ * Analytics events carry the assignments in their context, so per-variant
+ * funnels are built from the collected events wherever they end up.
+ */
+
+// FNV-1a, 32 bit, plus a murmur3 finalizer so near-identical ids spread evenly
+export function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+export function pickVariant(experiment, visitorId) {
+  const variants = experiment.variants;
+  const total = variants.reduce((sum, v) => sum + (v.weight ?? 1), 0);
+  let bucket = (hashString(`${experiment.id}:${visitorId}`) / 2 ** 32) * total;
+  for (const v of variants) {
+    bucket -= v.weight ?? 1;
+    if (bucket < 0) return v.id;
+  }
+  return variants[variants.length - 1].id;
+}
+
+export function forcedVariants(search) {
+  const out = {};
+  new URLSearchParams(search).forEach((value, key) => {
+    if (key.startsWith("exp_")) out[key.slice(4)] = value;
+  });
+  return out;
+}
+
+/** { experimentId: variantId } for every enabled experiment. */
+export function assignVariants(experiments, visitorId, stored = {}, forced = {}) {
+  const out = {};
+  experiments
+    .filter((e) => e.enabled !== false && e.variants && e.variants.length)
+    .forEach((e) => {
+      const has = (id) => e.variants.some((v) => v.id === id);
+      if (has(forced[e.id])) out[e.id] = forced[e.id];
+      else if (has(stored[e.id])) out[e.id] = stored[e.id];
+      else out[e.id] = pickVariant(e, visitorId);
+    });
+  return out;
+}
+
+/** The variant objects a visitor is in, in experiment order. */
+export function activeVariants(experiments, assignments) {
+  return experiments
+    .filter((e) => assignments[e.id])
+    .map((e) => e.variants.find((v) => v.id === assignments[e.id]))
+    .filter(Boolean);
+}
+
+/**
+ * Base copy with every active variant's `copy` overrides applied in order.
+ * An override is either the value itself (used for every locale) or a
+ * { [locale]: value } map; locales a map leaves out keep the base copy.
+ */
+export function mergeCopy(base, variants, locale) {
+  return variants.reduce((copy, v) => {
+    if (!v.copy) return copy;
+    const out = { ...copy };
+    Object.entries(v.copy).forEach(([key, value]) => {
+      const localized = value !== null && typeof value === "object" && !Array.isArray(value) ? value[locale] : value;
+      if (localized !== undefined) out[key] = localized;
+    });
+    return out;
+  }, base);
+}
+
+/**
+ * Quiz with questions reordered by `order` (ids not listed keep their
+ * relative position at the end). Sections stay in one piece: each moves to
+ * where its first question landed and keeps its questions in the new order,
+ * so the one-page layout (which renders by section) shows the same order as
+ * the wizard. Returns the quiz unchanged when the order would break a jump
+ * rule, since jumps may only point forward.
+ */
+export function applyQuestionOrder(quiz, order) {
+  if (!order || !order.length) return quiz;
+  const rank = (q) => (order.includes(q.id) ? order.indexOf(q.id) : order.length);
+  const ranked = quiz.questions
+    .map((q, i) => ({ q, i }))
+    .sort((a, b) => rank(a.q) - rank(b.q) || a.i - b.i)
+    .map(({ q }) => q);
+  const firstAt = (s) => {
+    const at = ranked.findIndex((q) => q.section === s.id);
+    return at === -1 ? ranked.length : at;
+  };
+  const sections = [...quiz.sections].sort((a, b) => firstAt(a) - firstAt(b));
+  const questions = sections.flatMap((s) => ranked.filter((q) => q.section === s.id));
+  const pos = Object.fromEntries(questions.map((q, i) => [q.id, i]));
+  const broken = questions.some((q) => (q.jump || []).some((j) => j.to !== "end" && pos[j.to] <= pos[q.id]));
+  if (broken) {
+    console.warn("[experiments] questionOrder ignored: it would move a jump target before its question");
+    return quiz;
+  }
+  return { ...quiz, sections, questions };
+}
@@ -0,0 +1,143 @@
+/**
+ * Saved funnel progress – storage schema, migrations and resume codes
+ *
+ * The funnel keeps its progress in localStorage, one key per field (stage,
+ * lead, answers, …). A `schema` key records what that progress was written
+ * for; progress saved before it existed counts as version 0:
+ *
+ *   { version: STATE_VERSION, quiz: { id, version } }
+ *
+ * restoreState brings saved progress up to date before anything renders:
+ * - MIGRATIONS run from the saved version up to STATE_VERSION
+ * - answers follow renamed questions (`formerIds` in quiz.json); answers to
+ *   removed questions or options are dropped
+ * - when the quiz changed or answers were dropped, a visitor past the quiz is
+ *   sent back to it instead of to results computed for another quiz
+ *
+ * Resume codes carry the same progress to another device. The backend keeps
+ * it under a random code (POST /resume on server/intake-server.mjs) and the
+ * magic link #/resume/<code> restores it. Codes are 12 symbols of 32 (60 bits)
+ * and the backend throttles failed lookups, since a code hands out the lead:
+ *
+ * {
+ *   version, quiz: { id, version },
+ *   sessionId, stage, locale,
+ *   lead: { name, email, location, consent },
+ *   answers, experiments
+ * }
+ */
+
+import { answersToOptionIds, isValidAnswer } from "./quizSchema.mjs";
+
+export const STATE_VERSION = 1;
+export const STAGES = ["landing", "lead", "quiz", "results", "booking", "booked"];
+export const RESUME_CODE_LENGTH = 12;
+const PAST_QUIZ = ["results", "booking", "booked"];
+const RESUME_ROUTE = "#/resume/";
+// 32 symbols without 0/O or 1/I, so a random byte maps onto it evenly
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const isStr = (v) => typeof v === "string";
+
+// MIGRATIONS[n](state, quiz) upgrades { stage, answers } saved as version n to n + 1
+const MIGRATIONS = [
+  // 0 -> 1: answers were saved as option labels before options had ids
+  (state, quiz) => ({ ...state, answers: answersToOptionIds(quiz, state.answers) }),
+];
+
+export function schemaStamp(quiz) {
+  return { version: STATE_VERSION, quiz: { id: quiz.id, version: quiz.version } };
+}
+
+/** Answers for the current quiz: renamed questions carried over, the rest checked. Returns { answers, dropped }. */
+export function reconcileAnswers(quiz, answers) {
+  const saved = { ...answers };
+  quiz.questions.forEach((q) =>
+    (q.formerIds || []).forEach((old) => {
+      if (saved[q.id] === undefined && saved[old] !== undefined) saved[q.id] = saved[old];
+      delete saved[old];
+    })
+  );
+  const kept = {};
+  const dropped = [];
+  Object.entries(saved).forEach(([id, value]) => {
+    const q = quiz.byId[id];
+    if (q && isValidAnswer(q, value)) kept[id] = value;
+    else dropped.push(id);
+  });
+  return { answers: kept, dropped };
+}
+
+/**
+ * restoreState({ schema, stage, answers }, quiz) -> { stage, answers, stale }
+ * `stale` is true when the quiz changed since the progress was saved. Progress
+ * from a newer build than this one can't be read back, so it starts over.
+ */
+export function restoreState({ schema, stage, answers }, quiz) {
+  const from = isObj(schema) && Number.isInteger(schema.version) ? schema.version : 0;
+  if (from > STATE_VERSION) return { stage: "landing", answers: {}, stale: true };
+  let state = { stage: STAGES.includes(stage) ? stage : "landing", answers: isObj(answers) ? answers : {} };
+  for (let v = from; v < STATE_VERSION; v++) state = MIGRATIONS[v](state, quiz);
+  const reconciled = reconcileAnswers(quiz, state.answers);
+  const sameQuiz = isObj(schema) && isObj(schema.quiz) && schema.quiz.id === quiz.id && schema.quiz.version === quiz.version;
+  const stale = reconciled.dropped.length > 0 || !sameQuiz;
+  return {
+    stage: stale && PAST_QUIZ.includes(state.stage) ? "quiz" : state.stage,
+    answers: reconciled.answers,
+    stale,
+  };
+}
+
+// ---- resume on another device ----
+
+/** What a resume code carries; see the shape above. */
+export function resumeState(quiz, { sessionId, stage, locale, lead, answers, experiments }) {
+  const { name = "", email = "", location = "", consent = false } = lead || {};
+  return { ...schemaStamp(quiz), sessionId, stage, locale, lead: { name, email, location, consent }, answers, experiments };
+}
+
+export function validateResumeState(state) {
+  const errors = [];
+  if (!isObj(state)) return ["state must be an object"];
+  if (!Number.isInteger(state.version) || state.version < 0 || state.version > STATE_VERSION)
+    errors.push(`version ${state.version} is not supported (expected up to ${STATE_VERSION})`);
+  if (!isObj(state.quiz) || !isStr(state.quiz.id)) errors.push("quiz.id is required");
+  if (!isStr(state.sessionId) || !state.sessionId) errors.push("sessionId is required");
+  if (!STAGES.includes(state.stage)) errors.push(`stage must be one of ${STAGES.join(", ")}`);
+  if (state.locale !== undefined && !isStr(state.locale)) errors.push("locale must be a string");
+  if (!isObj(state.lead)) errors.push("lead must be an object");
+  else ["name", "email", "location"].forEach((k) => isStr(state.lead[k]) || errors.push(`lead.${k} must be a string`));
+  if (!isObj(state.answers)) errors.push("answers must be an object");
+  if (state.experiments !== undefined && !isObj(state.experiments)) errors.push("experiments must be an object");
+  return errors;
+}
+
+/** A random RESUME_CODE_LENGTH-char code; `random(n)` returns n random bytes. */
+export function createResumeCode(random = (n) => crypto.getRandomValues(new Uint8Array(n))) {
+  return Array.from(random(RESUME_CODE_LENGTH), (b) => CODE_ALPHABET[b % CODE_ALPHABET.length]).join("");
+}
+
+/** "ABCD-EFGH-JKLM", easier to read out or type than the bare code. */
+export function formatResumeCode(code) {
+  return code.match(/.{1,4}/g).join("-");
+}
+
+/** A code as typed (any case, spaces or dashes) -> the bare code, or null when it can't be one. */
+export function normalizeResumeCode(input) {
+  const code = String(input || "")
+    .toUpperCase()
+    .replace(/[\s-]+/g, "");
+  return code.length === RESUME_CODE_LENGTH && [...code].every((c) => CODE_ALPHABET.includes(c)) ? code : null;
+}
+
+/** Magic link restoring `code` on the page at `pageUrl`; its query is dropped, as for share links. */
+export function resumeLink(pageUrl, code) {
+  const url = new URL(pageUrl);
+  return `${url.origin}${url.pathname}${RESUME_ROUTE}${code}`;
+}
+
+/** Resume code from a location hash like "#/resume/<code>", or null. */
+export function resumeCodeFromHash(hash) {
+  return hash.startsWith(RESUME_ROUTE) ? normalizeResumeCode(hash.slice(RESUME_ROUTE.length)) : null;
+}
@@ -0,0 +1,68 @@
+/**
+ * Checks for lib/funnelState.mjs – restoring saved progress and resume codes:
+ *
+ *   node lib/funnelState.selftest.mjs
+ */
+
+import { loadQuiz } from "./quizSchema.mjs";
+import {
+  restoreState,
+  schemaStamp,
+  resumeState,
+  validateResumeState,
+  createResumeCode,
+  formatResumeCode,
+  normalizeResumeCode,
+  resumeLink,
+  resumeCodeFromHash,
+  RESUME_CODE_LENGTH,
+} from "./funnelState.mjs";
+
+const quiz = loadQuiz({
+  id: "selftest",
+  version: 2,
+  title: "Selftest",
+  sections: [{ id: "s", title: "Section" }],
+  questions: [
+    { id: "ehr", section: "s", type: "yesno", text: "EHR?", formerIds: ["emr"] },
+    { id: "size", section: "s", type: "single", text: "Size?", options: [{ id: "solo", label: "Solo practice" }, { id: "group", label: "Group" }] },
+  ],
+});
+
+function selftest() {
+  let failed = 0;
+  const expect = (label, ok) => {
+    console.log(`${ok ? "ok  " : "FAIL"} ${label}`);
+    if (!ok) failed++;
+  };
+
+  const current = restoreState({ schema: schemaStamp(quiz), stage: "results", answers: { ehr: "yes", size: "group" } }, quiz);
+  expect("progress for this quiz comes back as saved", current.stage === "results" && !current.stale && current.answers.size === "group");
+
+  const legacy = restoreState({ stage: "quiz", answers: { emr: "no", size: "Solo practice" } }, quiz);
+  expect("version 0 labels migrate to option ids", legacy.answers.size === "solo");
+  expect("answers follow renamed questions", legacy.answers.ehr === "no" && legacy.answers.emr === undefined);
+
+  const changed = restoreState({ schema: { version: 1, quiz: { id: "selftest", version: 1 } }, stage: "booked", answers: { ehr: "yes", gone: "x" } }, quiz);
+  expect("a changed quiz sends a visitor past it back to the quiz", changed.stale && changed.stage === "quiz" && !("gone" in changed.answers));
+
+  const future = restoreState({ schema: { version: 99 }, stage: "results", answers: { ehr: "yes" } }, quiz);
+  expect("progress from a newer build starts over", future.stage === "landing" && future.stale && !Object.keys(future.answers).length);
+  expect("unknown stages fall back to landing", restoreState({ schema: schemaStamp(quiz), stage: "nowhere", answers: {} }, quiz).stage === "landing");
+
+  const state = resumeState(quiz, { sessionId: "s-1", stage: "quiz", locale: "es", lead: { name: "Ada", email: "ada@example.com" }, answers: {} });
+  expect("resume state is valid and fills the lead", validateResumeState(state).length === 0 && state.lead.location === "" && state.lead.consent === false);
+  expect("resume state without a session is rejected", validateResumeState({ ...state, sessionId: "" }).includes("sessionId is required"));
+
+  const code = createResumeCode((n) => Uint8Array.from({ length: n }, (_, i) => i * 7));
+  expect("codes have the full length and no look-alike symbols", code.length === RESUME_CODE_LENGTH && !/[01IO]/.test(code));
+  expect("typed codes normalize", normalizeResumeCode(formatResumeCode(code).toLowerCase().replace("-", " ")) === code);
+  expect("malformed codes are refused", normalizeResumeCode("ABCD-EFGH") === null && normalizeResumeCode("ABCD-EFGH-JKL0") === null);
+  const link = resumeLink("https://clinic.example/intake?utm_source=mail#/admin", code);
+  expect("magic links drop the query and round-trip", link === `https://clinic.example/intake#/resume/${code}` && resumeCodeFromHash(new URL(link).hash) === code);
+
+  console.log(failed ? `\n${failed} check(s) failed` : "\nall checks passed");
+  process.exitCode = failed ? 1 : 0;
+}
+
+selftest();
@@ -0,0 +1,167 @@
+/**
+ * Internationalization – message catalogs, plurals, numbers, direction
+ *
+ * A catalog is nested JSON (locales/<locale>.json) addressed with dotted
+ * keys, e.g. t("results.scoreTitle"). A message is
+ *
+ * - a string with {placeholders}; numeric values are formatted for the locale
+ * - a plural object keyed by Intl.PluralRules categories ({ one, other } in
+ *   English, up to zero/one/two/few/many/other in Arabic), picked by `count`
+ * - any other JSON (lists of landing copy, …), read as-is with raw()
+ *
+ * `_meta` holds { name, dir } for the language switcher and RTL layout.
+ *
+ * Missing keys fall back to the default locale and then to the key itself,
+ * so a half-translated catalog degrades to English instead of breaking.
+ *
+ * Quiz and insight content stays in quiz.json / insights.json as the English
+ * source. Catalogs translate it by id under `questions`, `sections`,
+ * `categories`, `insights` and `nextSteps` (see localizeQuiz and
+ * localizeInsights). Answers are option ids, so switching language never
+ * touches stored answers or scores.
+ */
+
+export const DEFAULT_LOCALE = "en";
+
+const PLURAL_KEYS = ["zero", "one", "two", "few", "many", "other"];
+
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+function isPlural(v) {
+  return isObj(v) && "other" in v && Object.keys(v).every((k) => PLURAL_KEYS.includes(k));
+}
+
+function lookup(catalog, key) {
+  return key.split(".").reduce((node, part) => (isObj(node) ? node[part] : undefined), catalog);
+}
+
+/** Supported locale for a BCP 47 tag ("es-MX" -> "es"), or null. */
+export function matchLocale(tag, supported) {
+  if (!tag) return null;
+  const lower = String(tag).toLowerCase();
+  return (
+    supported.find((l) => l.toLowerCase() === lower) ||
+    supported.find((l) => l.toLowerCase() === lower.split("-")[0]) ||
+    null
+  );
+}
+
+/** First supported locale from ?lang=, the stored choice, then the browser languages. */
+export function detectLocale({ supported, search = "", stored = null, languages = [], fallback = DEFAULT_LOCALE }) {
+  const query = new URLSearchParams(search).get("lang");
+  for (const tag of [query, stored, ...languages]) {
+    const match = matchLocale(tag, supported);
+    if (match) return match;
+  }
+  return fallback;
+}
+
+/**
+ * Translator for one locale: { locale, dir, meta, t, raw, format, number,
+ * percent, currency, list, date, dateTime, answerFormat }. `catalogs` is { [locale]: catalog }.
+ */
+export function createI18n({ locale, catalogs, fallback = DEFAULT_LOCALE }) {
+  const chain = [catalogs[locale], catalogs[fallback]].filter(Boolean);
+  const meta = { ...(catalogs[fallback] || {})._meta, ...(catalogs[locale] || {})._meta };
+  const numberFormat = new Intl.NumberFormat(locale, { maximumFractionDigits: 1 });
+  const percentFormat = new Intl.NumberFormat(locale, { style: "percent", maximumFractionDigits: 0 });
+  const dateFormat = new Intl.DateTimeFormat(locale, { dateStyle: "medium" });
+  const pluralRules = new Intl.PluralRules(locale);
+  const listFormat = typeof Intl.ListFormat === "function" ? new Intl.ListFormat(locale, { type: "conjunction" }) : null;
+
+  const raw = (key) => {
+    for (const catalog of chain) {
+      const v = lookup(catalog, key);
+      if (v !== undefined) return v;
+    }
+    return undefined;
+  };
+  const number = (n) => numberFormat.format(n);
+  // scores are 0–100 throughout the app
+  const percent = (pct) => percentFormat.format(pct / 100);
+  const currencyFormats = {};
+  // whole amounts: every money figure in the app is an estimate
+  const currency = (n, code) => {
+    if (!currencyFormats[code])
+      currencyFormats[code] = new Intl.NumberFormat(locale, { style: "currency", currency: code, maximumFractionDigits: 0 });
+    return currencyFormats[code].format(n);
+  };
+  const list = (items) => (listFormat ? listFormat.format(items.map(String)) : items.join(", "));
+  const date = (d) => dateFormat.format(d);
+  // any Intl.DateTimeFormat options, e.g. a timeZone for booking slots
+  const dateTime = (d, options) => new Intl.DateTimeFormat(locale, options).format(d);
+
+  function format(template, vars = {}) {
+    return template.replace(/\{(\w+)\}/g, (m, k) => {
+      if (!(k in vars)) return m;
+      return typeof vars[k] === "number" ? number(vars[k]) : String(vars[k]);
+    });
+  }
+
+  function t(key, vars = {}) {
+    let msg = raw(key);
+    if (isPlural(msg)) msg = msg[pluralRules.select(vars.count ?? 0)] ?? msg.other;
+    return typeof msg === "string" ? format(msg, vars) : key;
+  }
+
+  return {
+    locale,
+    dir: meta.dir === "rtl" ? "rtl" : "ltr",
+    meta,
+    t,
+    raw,
+    format,
+    number,
+    percent,
+    currency,
+    list,
+    date,
+    dateTime,
+    answerFormat: { yes: t("common.yes"), no: t("common.no"), number, list },
+  };
+}
+
+function textFor(i18n, key, source) {
+  const v = i18n.raw(key);
+  return typeof v === "string" ? v : source;
+}
+
+/** Loaded quiz with titles, question text, option labels and category labels in the i18n locale. Ids are untouched. */
+export function localizeQuiz(quiz, i18n) {
+  const questions = quiz.questions.map((q) => {
+    const key = `questions.${q.id}`;
+    const out = { ...q, text: textFor(i18n, `${key}.text`, q.text) };
+    ["summary", "placeholder", "unit"].forEach((field) => {
+      if (q[field]) out[field] = textFor(i18n, `${key}.${field}`, q[field]);
+    });
+    if (q.options) out.options = q.options.map((o) => ({ ...o, label: textFor(i18n, `${key}.options.${o.id}`, o.label) }));
+    return out;
+  });
+  const byId = {};
+  const byRole = {};
+  questions.forEach((q) => {
+    byId[q.id] = q;
+    if (q.role) byRole[q.role] = q;
+  });
+  const categories = quiz.scoring.categories;
+  return {
+    ...quiz,
+    title: textFor(i18n, "quizTitle", quiz.title),
+    sections: quiz.sections.map((s) => ({ ...s, title: textFor(i18n, `sections.${s.id}`, s.title) })),
+    scoring: categories
+      ? { ...quiz.scoring, categories: categories.map((c) => ({ ...c, label: textFor(i18n, `categories.${c.id}`, c.label) })) }
+      : quiz.scoring,
+    questions,
+    byId,
+    byRole,
+  };
+}
+
+/** Loaded insight rules with rule + next-step text in the i18n locale. */
+export function localizeInsights(rules, i18n) {
+  return {
+    ...rules,
+    rules: rules.rules.map((r) => ({ ...r, text: textFor(i18n, `insights.${r.id}`, r.text) })),
+    nextSteps: rules.nextSteps.map((r) => ({ ...r, text: textFor(i18n, `nextSteps.${r.id}`, r.text) })),
+  };
+}
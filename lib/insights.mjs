@@ -0,0 +1,127 @@
+/**
+ * Insight + next-step rules engine
+ *
+ * Recommendations live in insights.json so consultants can tune them without
+ * code changes:
+ *
+ * {
+ *   version, maxInsights?,
+ *   rules:     [{ id, priority, category, text, when, group? }],
+ *   nextSteps: [{ id, text, when }]      // first match wins; **bold** allowed
+ * }
+ *
+ * `when` uses the condition language from lib/conditions.mjs, plus two leaf
+ * kinds for the score: { "score": "overall" | <categoryId>, "lt": 50 } reads
+ * the percentage and { "color": "overall" | <categoryId>, "eq": "red" } the
+ * traffic-light color. `note` leaves read the free-text tags from
+ * lib/noteTags.mjs: { "note": "topics", "includes": "ehr" }, { "note": "urgency", "eq": "high" }.
+ *
+ * Fired rules are ranked by priority (ties keep file order) and de-duplicated
+ * by `group`, falling back to identical text. Every result carries the id of
+ * the rule that produced it.
+ */
+
+import { evaluateCondition, answerResolver, validateCondition } from "./conditions.mjs";
+import { unknownOptionValue } from "./quizSchema.mjs";
+import { noteLeafValue, unknownNoteLeaf } from "./noteTags.mjs";
+
+export class InsightRulesError extends Error {
+  constructor(errors) {
+    super(`Invalid insight rules:\n- ${errors.join("\n- ")}`);
+    this.name = "InsightRulesError";
+    this.errors = errors;
+  }
+}
+
+const DEFAULT_MAX_INSIGHTS = 5;
+
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const isStr = (v) => typeof v === "string" && v.length > 0;
+
+export function validateInsightRules(def, quiz) {
+  const errors = [];
+  if (!isObj(def)) return ["rules file must be an object"];
+  const categories = new Set((quiz.scoring.categories || []).map((c) => c.id));
+  const isKnownLeaf = (leaf) => {
+    if (leaf.q !== undefined)
+      return quiz.byId[leaf.q] ? unknownOptionValue(quiz.byId[leaf.q], leaf) : `references unknown question "${leaf.q}"`;
+    if (leaf.role !== undefined)
+      return quiz.byRole[leaf.role] ? unknownOptionValue(quiz.byRole[leaf.role], leaf) : `references unknown role "${leaf.role}"`;
+    if (leaf.note !== undefined) return unknownNoteLeaf(leaf);
+    const key = leaf.score !== undefined ? "score" : leaf.color !== undefined ? "color" : null;
+    if (!key) return "needs a q, role, score, color or note";
+    return leaf[key] === "overall" || categories.has(leaf[key]) ? null : `references unknown category "${leaf[key]}"`;
+  };
+
+  const ids = new Set();
+  const checkEntry = (r, at, needsRank) => {
+    if (!isObj(r)) {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+    if (!isStr(r.id)) errors.push(`${at}.id must be a non-empty string`);
+    else if (ids.has(r.id)) errors.push(`${at}.id "${r.id}" is duplicated`);
+    else ids.add(r.id);
+    if (!isStr(r.text)) errors.push(`${at}.text must be a non-empty string`);
+    if (needsRank) {
+      if (typeof r.priority !== "number") errors.push(`${at}.priority must be a number`);
+      if (!isStr(r.category)) errors.push(`${at}.category must be a non-empty string`);
+    }
+    if (r.when !== undefined) validateCondition(r.when, `${at}.when`, isKnownLeaf, errors);
+  };
+
+  if (!Array.isArray(def.rules)) errors.push("rules must be an array");
+  else def.rules.forEach((r, i) => checkEntry(r, `rules[${i}]`, true));
+  if (def.nextSteps !== undefined) {
+    if (!Array.isArray(def.nextSteps)) errors.push("nextSteps must be an array");
+    else def.nextSteps.forEach((r, i) => checkEntry(r, `nextSteps[${i}]`, false));
+  }
+  if (def.maxInsights !== undefined && !(Number.isInteger(def.maxInsights) && def.maxInsights > 0))
+    errors.push("maxInsights must be a positive integer");
+  return errors;
+}
+
+export function loadInsightRules(def, quiz) {
+  const errors = validateInsightRules(def, quiz);
+  if (errors.length) throw new InsightRulesError(errors);
+  return { ...def, nextSteps: def.nextSteps || [], maxInsights: def.maxInsights || DEFAULT_MAX_INSIGHTS };
+}
+
+/** Resolver for answer leaves plus `score` / `color` leaves, and `note` leaves over `notes` (tagNotes result or null). */
+export function insightResolver(quiz, answers, score, notes = null) {
+  const byAnswer = answerResolver(quiz, answers);
+  const category = (id) => (id === "overall" ? score : score.categories.find((c) => c.id === id));
+  return (leaf) => {
+    if (leaf.score !== undefined) return category(leaf.score)?.pct;
+    if (leaf.color !== undefined) return category(leaf.color)?.color;
+    if (leaf.note !== undefined) return noteLeafValue(notes, leaf);
+    return byAnswer(leaf);
+  };
+}
+
+/**
+ * Every rule that fired, ranked and de-duplicated:
+ * [{ ruleId, priority, category, text }]. Callers decide how many to show.
+ */
+export function rankInsights(rules, resolve) {
+  const fired = rules.rules
+    .map((r, order) => ({ r, order }))
+    .filter(({ r }) => evaluateCondition(r.when, resolve))
+    .sort((a, b) => b.r.priority - a.r.priority || a.order - b.order);
+
+  const seen = new Set();
+  const out = [];
+  fired.forEach(({ r }) => {
+    const key = r.group ? `group:${r.group}` : `text:${r.text}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    out.push({ ruleId: r.id, priority: r.priority, category: r.category, text: r.text });
+  });
+  return out;
+}
+
+/** First matching next step as { ruleId, text }, or null. */
+export function pickNextStep(rules, resolve) {
+  const r = rules.nextSteps.find((s) => evaluateCondition(s.when, resolve));
+  return r ? { ruleId: r.id, text: r.text } : null;
+}
@@ -0,0 +1,225 @@
+/**
+ * Lead quality scoring + sales routing
+ *
+ * computeScore (lib/scoring.mjs) rates how mature a clinic's intake is; this
+ * rates how likely the lead is to buy. It only travels in the quizResults
+ * payload for sales and CRMs – the visitor never sees it. The model lives in
+ * leadScoring.json:
+ *
+ * {
+ *   version,
+ *   answers: { <role>: { <optionId>: points } },   // single-choice questions, by role
+ *   completeness,                                  // points at 100% of shown questions answered
+ *   timeToComplete?: { minSec, maxSec, points },   // lead form -> results; faster looks like clicking through
+ *   intent?: [{ id, points, phrases: [..] }],      // free-text (`notes`) phrases, matched like the note
+ *                                                  // lexicon's (whole words, trailing "*" for a prefix);
+ *                                                  // each entry counts once, points may be negative
+ *   notes?: {                                      // lib/noteTags.mjs tags of the same answer
+ *     topics?: { <topicId>: points },
+ *     urgency?: { high?, low? },
+ *     sentiment?: { positive?, negative? }
+ *   },
+ *   tiers: { hot, warm },                          // lowest pct of each tier; anything below warm is cold
+ *   routes: [{ id, when?, assign: { owner?, calendar?, sequence? } }]
+ * }
+ *
+ * Routes are tried in order and the first match wins, so the last one must
+ * have no `when`. `when` uses the condition language from lib/conditions.mjs
+ * plus a `lead` leaf: { "lead": "tier", "eq": "hot" } or { "lead": "pct", "gte": 80 }, and the
+ * `note` leaf from lib/noteTags.mjs: { "note": "urgency", "eq": "high" }.
+ *
+ * Intent phrases and scored note topics read the same answer, so a word in
+ * both (e.g. "budget" as buying intent and as the budget topic) counts twice;
+ * keep each kind of signal in one place.
+ *
+ * scoreLead returns
+ * { modelVersion, points, max, pct, tier, signals: [{ id, points }], route: { id, owner?, calendar?, sequence? } }
+ * where signals say where the points came from, e.g. "clinicSize:multi-location", "intent:buying" or
+ * "note:urgency:high".
+ */
+
+import { evaluateCondition, answerResolver, validateCondition } from "./conditions.mjs";
+import { answerFor, isAnswered, unknownOptionValue } from "./quizSchema.mjs";
+import { NOTES_ROLE, noteLeafValue, phraseMatcher, unknownNoteLeaf } from "./noteTags.mjs";
+
+export class LeadScoringError extends Error {
+  constructor(errors) {
+    super(`Invalid lead scoring model:\n- ${errors.join("\n- ")}`);
+    this.name = "LeadScoringError";
+    this.errors = errors;
+  }
+}
+
+export const LEAD_TIERS = ["hot", "warm", "cold"];
+const NOTE_SIDES = { urgency: ["high", "low"], sentiment: ["positive", "negative"] };
+const LEAD_LEAVES = ["tier", "pct"];
+const ASSIGN_KEYS = ["owner", "calendar", "sequence"];
+
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+const isStr = (v) => typeof v === "string" && v.length > 0;
+const isPct = (v) => isNum(v) && v >= 0 && v <= 100;
+const isPhrase = (v) => isStr(v) && v.replace(/\*$/, "").trim().length > 0;
+
+/** `topicIds`, when given, are the note lexicon's topics that notes.topics may score. */
+export function validateLeadScoring(def, quiz, topicIds = null) {
+  const errors = [];
+  if (!isObj(def)) return ["lead scoring model must be an object"];
+
+  if (!isObj(def.answers)) errors.push("answers must be an object");
+  else
+    Object.entries(def.answers).forEach(([role, points]) => {
+      const q = quiz.byRole[role];
+      if (!q) errors.push(`answers.${role}: quiz has no question with role "${role}"`);
+      else if (q.type !== "single") errors.push(`answers.${role}: question ${q.id} must be a single-choice question`);
+      if (!isObj(points)) return errors.push(`answers.${role} must be an object`);
+      Object.entries(points).forEach(([id, p]) => {
+        if (q && !(q.options || []).some((o) => o.id === id)) errors.push(`answers.${role}.${id} is not an option of ${q.id}`);
+        if (!isNum(p)) errors.push(`answers.${role}.${id} must be a number`);
+      });
+    });
+
+  if (!isNum(def.completeness) || def.completeness < 0) errors.push("completeness must be a non-negative number");
+  const time = def.timeToComplete;
+  if (time !== undefined) {
+    if (!isObj(time)) errors.push("timeToComplete must be an object");
+    else {
+      if (!isNum(time.minSec) || !isNum(time.maxSec) || time.minSec < 0 || time.maxSec <= time.minSec)
+        errors.push("timeToComplete needs minSec >= 0 and a larger maxSec");
+      if (!isNum(time.points) || time.points < 0) errors.push("timeToComplete.points must be a non-negative number");
+    }
+  }
+
+  if (def.intent !== undefined) {
+    if (!quiz.byRole[NOTES_ROLE]) errors.push(`intent needs a question with role "${NOTES_ROLE}"`);
+    if (!Array.isArray(def.intent)) errors.push("intent must be an array");
+    else
+      def.intent.forEach((entry, i) => {
+        const at = `intent[${i}]`;
+        if (!isObj(entry)) return errors.push(`${at} must be an object`);
+        if (!isStr(entry.id)) errors.push(`${at}.id must be a non-empty string`);
+        if (!isNum(entry.points)) errors.push(`${at}.points must be a number`);
+        if (!Array.isArray(entry.phrases) || !entry.phrases.length || !entry.phrases.every(isPhrase))
+          errors.push(`${at}.phrases must be a non-empty array of strings`);
+      });
+  }
+
+  if (def.notes !== undefined) {
+    if (!isObj(def.notes)) errors.push("notes must be an object");
+    else
+      Object.entries(def.notes).forEach(([key, points]) => {
+        const allowed = key === "topics" ? topicIds : NOTE_SIDES[key];
+        if (key !== "topics" && !allowed) return errors.push(`notes.${key} is not topics, urgency or sentiment`);
+        if (!isObj(points)) return errors.push(`notes.${key} must be an object`);
+        Object.entries(points).forEach(([id, p]) => {
+          if (allowed && !allowed.includes(id)) errors.push(`notes.${key}.${id} is not one of ${allowed.join(", ")}`);
+          if (!isNum(p)) errors.push(`notes.${key}.${id} must be a number`);
+        });
+      });
+  }
+
+  if (!isObj(def.tiers) || !isPct(def.tiers.hot) || !isPct(def.tiers.warm) || def.tiers.warm > def.tiers.hot)
+    errors.push("tiers needs hot and warm as 0–100, warm no higher than hot");
+
+  const isKnownLeaf = (leaf) => {
+    if (leaf.q !== undefined)
+      return quiz.byId[leaf.q] ? unknownOptionValue(quiz.byId[leaf.q], leaf) : `references unknown question "${leaf.q}"`;
+    if (leaf.role !== undefined)
+      return quiz.byRole[leaf.role] ? unknownOptionValue(quiz.byRole[leaf.role], leaf) : `references unknown role "${leaf.role}"`;
+    if (leaf.note !== undefined) return unknownNoteLeaf(leaf);
+    if (leaf.lead === undefined) return "needs a q, role, lead or note";
+    return LEAD_LEAVES.includes(leaf.lead) ? null : `lead must be one of ${LEAD_LEAVES.join(", ")}`;
+  };
+  if (!Array.isArray(def.routes) || !def.routes.length) errors.push("routes must be a non-empty array");
+  else {
+    const ids = new Set();
+    def.routes.forEach((r, i) => {
+      const at = `routes[${i}]`;
+      if (!isObj(r)) return errors.push(`${at} must be an object`);
+      if (!isStr(r.id)) errors.push(`${at}.id must be a non-empty string`);
+      else if (ids.has(r.id)) errors.push(`${at}.id "${r.id}" is duplicated`);
+      else ids.add(r.id);
+      if (r.when !== undefined) validateCondition(r.when, `${at}.when`, isKnownLeaf, errors);
+      if (!isObj(r.assign) || !Object.keys(r.assign).every((k) => ASSIGN_KEYS.includes(k) && isStr(r.assign[k])))
+        errors.push(`${at}.assign must map ${ASSIGN_KEYS.join(" / ")} to strings`);
+    });
+    if (isObj(def.routes[def.routes.length - 1]) && def.routes[def.routes.length - 1].when !== undefined)
+      errors.push("the last route must have no `when`, so every lead gets one");
+  }
+  return errors;
+}
+
+export function loadLeadScoring(def, quiz, topicIds = null) {
+  const errors = validateLeadScoring(def, quiz, topicIds);
+  if (errors.length) throw new LeadScoringError(errors);
+  const intent = (def.intent || []).map((entry) => ({ ...entry, matches: phraseMatcher(entry.phrases) }));
+  return { ...def, intent, notes: def.notes || {} };
+}
+
+function intentSignals(model, text) {
+  if (typeof text !== "string" || !text.trim()) return [];
+  return model.intent
+    .filter((entry) => entry.matches(text))
+    .map((entry) => ({ id: `intent:${entry.id}`, points: entry.points }));
+}
+
+/**
+ * scoreLead(model, quiz, { answers, questions, durationSec?, notes? })
+ * `questions` are the ones shown after branching, `answers` the branched
+ * ones; durationSec is left out when unknown (e.g. a run resumed elsewhere).
+ * `notes` is the tagNotes result for the free-text answer, or null.
+ */
+export function scoreLead(model, quiz, { answers, questions, durationSec, notes = null }) {
+  const signals = [];
+  let max = 0;
+
+  Object.entries(model.answers).forEach(([role, points]) => {
+    max += Math.max(0, ...Object.values(points));
+    const id = answerFor(quiz, answers, role);
+    if (id !== undefined && points[id] !== undefined) signals.push({ id: `${role}:${id}`, points: points[id] });
+  });
+
+  max += model.completeness;
+  const answered = questions.filter((q) => isAnswered(q, answers[q.id])).length;
+  if (questions.length) signals.push({ id: "completeness", points: Math.round((model.completeness * answered) / questions.length) });
+
+  const time = model.timeToComplete;
+  if (time) {
+    max += time.points;
+    if (isNum(durationSec) && durationSec >= time.minSec && durationSec <= time.maxSec) signals.push({ id: "timeToComplete", points: time.points });
+  }
+
+  max += model.intent.reduce((sum, entry) => sum + Math.max(0, entry.points), 0);
+  signals.push(...intentSignals(model, answerFor(quiz, answers, NOTES_ROLE)));
+
+  // exclusive sides (urgency, sentiment) can add at most their best value; topics add up
+  Object.entries(model.notes).forEach(([key, points]) => {
+    const values = Object.values(points);
+    max += key === "topics" ? values.reduce((sum, p) => sum + Math.max(0, p), 0) : Math.max(0, ...values);
+    const tagged = notes ? [].concat(notes[key]) : [];
+    tagged.forEach((id) => {
+      if (points[id] !== undefined) signals.push({ id: `note:${key}:${id}`, points: points[id] });
+    });
+  });
+
+  const points = signals.reduce((sum, s) => sum + s.points, 0);
+  const pct = max ? Math.round((Math.min(Math.max(points, 0), max) / max) * 100) : 0;
+  const tier = pct >= model.tiers.hot ? "hot" : pct >= model.tiers.warm ? "warm" : "cold";
+
+  const byAnswer = answerResolver(quiz, answers);
+  const resolve = (leaf) => {
+    if (leaf.note !== undefined) return noteLeafValue(notes, leaf);
+    return leaf.lead === "tier" ? tier : leaf.lead === "pct" ? pct : byAnswer(leaf);
+  };
+  const route = model.routes.find((r) => evaluateCondition(r.when, resolve));
+
+  return {
+    modelVersion: model.version,
+    points,
+    max,
+    pct,
+    tier,
+    signals: signals.filter((s) => s.points !== 0),
+    route: { id: route.id, ...route.assign },
+  };
+}
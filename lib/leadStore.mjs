@@ -0,0 +1,241 @@
+/**
+ * Local lead store – what the admin dashboard lists
+ *
+ * Every lead / quizResults envelope the funnel sends is also kept here
+ * (localStorage by default), one record per funnel session:
+ *
+ * {
+ *   id,                                      // sessionId
+ *   createdAt, updatedAt,                    // ISO strings
+ *   lead, attribution?, experiments?, locale?,
+ *   answers?, score?, insights?, nextStep?,  // once quizResults was sent
+ *   roi?,                                    // lib/roi.mjs estimate, when the numbers were given
+ *   noteTags?,                               // lib/noteTags.mjs topics / urgency / sentiment of the notes
+ *   leadScore?,                              // lib/leadScoring.mjs tier + route; server store only
+ *   booking?,                                // demo booking; moves the status to "booked"
+ *   progress?,                               // last progress / abandoned snapshot of an unfinished run
+ *   consents?,                               // ledger of lib/privacy.mjs consent records
+ *   status: "new" | "contacted" | "booked",
+ *   notes: [{ at, text }]
+ * }
+ *
+ * It only sees leads captured in this browser – handy for demos, events and
+ * front-desk tablets. The webhook / backend stays the system of record.
+ * The lead score is for sales, so it is never kept in the browser, where a
+ * visitor could read it back. A deletionRequest envelope removes the
+ * session's record; `purge` drops records past the retention period.
+ *
+ * filterLeads and leadsToCsv are pure, so they work on any list of records.
+ */
+
+import { answerFor, formatAnswer } from "./quizSchema.mjs";
+
+export const LEAD_STATUSES = ["new", "contacted", "booked"];
+
+// envelope data fields kept on a lead record by server/intake-server.mjs; the browser store keeps BROWSER_FIELDS
+export const RECORDED_FIELDS = ["lead", "attribution", "experiments", "locale", "answers", "score", "insights", "nextStep", "roi", "noteTags", "leadScore", "booking", "progress"];
+
+// the browser store leaves out what the visitor must never see
+const BROWSER_FIELDS = RECORDED_FIELDS.filter((k) => k !== "leadScore");
+
+const byNewest = (a, b) => (a.createdAt < b.createdAt ? 1 : a.createdAt > b.createdAt ? -1 : 0);
+
+/**
+ * createLeadStore({ storage, storageKey, now })
+ * - storage is anything with getItem/setItem (localStorage by default)
+ */
+export function createLeadStore({
+  storage = typeof localStorage !== "undefined" ? localStorage : null,
+  storageKey = "ai-intake-leads",
+  now = () => new Date(),
+} = {}) {
+  const listeners = new Set();
+  let memory = [];
+
+  function load() {
+    if (!storage) return memory;
+    try {
+      return JSON.parse(storage.getItem(storageKey)) || [];
+    } catch {
+      return memory;
+    }
+  }
+
+  function save(records) {
+    memory = records;
+    try {
+      if (storage) storage.setItem(storageKey, JSON.stringify(records));
+    } catch {}
+    listeners.forEach((fn) => fn(all()));
+  }
+
+  function all() {
+    return [...load()].sort(byNewest);
+  }
+
+  function update(id, change) {
+    const records = load();
+    const i = records.findIndex((r) => r.id === id);
+    if (i === -1) return null;
+    records[i] = { ...change(records[i]), updatedAt: now().toISOString() };
+    save(records);
+    return records[i];
+  }
+
+  /** Creates, updates or (for a deletionRequest) removes the session's record from an outgoing envelope. */
+  function record(envelope) {
+    if (envelope.type === "deletionRequest") return remove(envelope.sessionId);
+    const data = envelope.data || {};
+    const fields = {};
+    BROWSER_FIELDS.forEach((k) => {
+      if (data[k] !== undefined) fields[k] = data[k];
+    });
+    if (envelope.type === "booking") fields.status = "booked";
+    const consents = (r) => (data.consent ? { consents: [...(r.consents || []), data.consent] } : {});
+    if (update(envelope.sessionId, (r) => ({ ...r, ...fields, ...consents(r) }))) return;
+    const at = envelope.occurredAt || now().toISOString();
+    save([...load(), { id: envelope.sessionId, createdAt: at, updatedAt: at, status: "new", notes: [], ...fields, ...consents({}) }]);
+  }
+
+  function remove(id) {
+    const records = load();
+    const kept = records.filter((r) => r.id !== id);
+    if (kept.length !== records.length) save(kept);
+  }
+
+  /** Drops records last updated before `cutoff` (a Date). */
+  function purge(cutoff) {
+    const records = load();
+    const kept = records.filter((r) => new Date(r.updatedAt) >= cutoff);
+    if (kept.length !== records.length) save(kept);
+  }
+
+  function setStatus(id, status) {
+    if (!LEAD_STATUSES.includes(status)) throw new Error(`Unknown lead status "${status}"`);
+    return update(id, (r) => ({ ...r, status }));
+  }
+
+  function addNote(id, text) {
+    const note = String(text).trim();
+    if (!note) return null;
+    return update(id, (r) => ({ ...r, notes: [...r.notes, { at: now().toISOString(), text: note }] }));
+  }
+
+  // also fires when another tab (e.g. the funnel) writes to the store
+  function subscribe(fn) {
+    listeners.add(fn);
+    const onStorage = (e) => {
+      if (e.key === storageKey) fn(all());
+    };
+    if (typeof window !== "undefined") window.addEventListener("storage", onStorage);
+    return () => {
+      listeners.delete(fn);
+      if (typeof window !== "undefined") window.removeEventListener("storage", onStorage);
+    };
+  }
+
+  return { all, get: (id) => load().find((r) => r.id === id) || null, record, remove, purge, setStatus, addNote, subscribe };
+}
+
+// "YYYY-MM-DD" from a date input, as local midnight
+function dayStart(day, offsetDays = 0) {
+  const d = new Date(`${day}T00:00:00`);
+  d.setDate(d.getDate() + offsetDays);
+  return d;
+}
+
+/**
+ * Records matching every filter that is set:
+ * { color, status, clinicSize, desiredOutcome, from, to }
+ * clinicSize / desiredOutcome are option ids of the questions with those
+ * roles; from / to are inclusive "YYYY-MM-DD" days compared with createdAt.
+ */
+export function filterLeads(records, filters, quiz) {
+  const { color, status, clinicSize, desiredOutcome, from, to } = filters;
+  const answer = (r, role) => (r.answers ? answerFor(quiz, r.answers, role) : undefined);
+  return records.filter((r) => {
+    const created = new Date(r.createdAt);
+    if (color && (!r.score || r.score.color !== color)) return false;
+    if (status && r.status !== status) return false;
+    if (clinicSize && answer(r, "clinicSize") !== clinicSize) return false;
+    if (desiredOutcome && answer(r, "desiredOutcome") !== desiredOutcome) return false;
+    if (from && created < dayStart(from)) return false;
+    if (to && created >= dayStart(to, 1)) return false;
+    return true;
+  });
+}
+
+function csvCell(value) {
+  let s = value === undefined || value === null ? "" : String(value);
+  // a leading =, +, - or @ would run as a formula when the file is opened in a spreadsheet
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * RFC 4180 CSV, one row per record. Question columns and answer labels come
+ * from `quiz` (pass a localized one for translated labels); `fmt` is the
+ * formatAnswer format.
+ */
+export function leadsToCsv(records, quiz, fmt) {
+  const header = [
+    "Created",
+    "Updated",
+    "Status",
+    "Name",
+    "Email",
+    "Location",
+    "Score %",
+    "Color",
+    ...quiz.questions.map((q) => q.summary || q.text),
+    "Next step",
+    "Demo",
+    "Lead tier",
+    "Route",
+    "Notes",
+    "Session",
+  ];
+  const rows = records.map((r) => {
+    const lead = r.lead || {};
+    return [
+      r.createdAt,
+      r.updatedAt,
+      r.status,
+      lead.name,
+      lead.email,
+      lead.location,
+      r.score ? r.score.pct : "",
+      r.score ? r.score.color : "",
+      ...quiz.questions.map((q) => (r.answers && r.answers[q.id] !== undefined ? formatAnswer(q, r.answers[q.id], fmt) : "")),
+      r.nextStep ? r.nextStep.text.replace(/\*\*/g, "") : "",
+      r.booking ? r.booking.start : "",
+      r.leadScore ? r.leadScore.tier : "",
+      r.leadScore ? r.leadScore.route.id : "",
+      r.notes.map((n) => `${n.at}: ${n.text}`).join("\n"),
+      r.id,
+    ];
+  });
+  return [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\r\n");
+}
+
+function toHex(buffer) {
+  return [...new Uint8Array(buffer)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// sha256("change-me"), the placeholder older builds shipped with
+const PLACEHOLDER_PASSCODE_SHA256 = "e2186dbdb1bb4193608605e84f33208765b5693b55edd4f730a719a100eeea6f";
+
+/** True for a hex SHA-256 someone actually chose – not empty, not the old "change-me" placeholder. */
+export function isPasscodeConfigured(expectedSha256) {
+  const hash = String(expectedSha256 || "").toLowerCase();
+  return /^[0-9a-f]{64}$/.test(hash) && hash !== PLACEHOLDER_PASSCODE_SHA256;
+}
+
+/**
+ * True when the SHA-256 of `passcode` equals `expectedSha256` (hex). This
+ * only keeps casual visitors out: the store lives in the browser anyway.
+ */
+export async function passcodeMatches(passcode, expectedSha256) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(passcode));
+  return toHex(digest) === String(expectedSha256).toLowerCase();
+}
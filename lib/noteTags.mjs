@@ -0,0 +1,137 @@
+/**
+ * Free-text tagging for the `notes` answer – topics, urgency, sentiment
+ *
+ * Runs locally on keyword lexicons from noteTags.json; nothing is sent to
+ * an outside service. Lexicons hold phrases in every catalog language:
+ *
+ * {
+ *   version,
+ *   topics:    { <topicId>: [phrase] },    // billing, ehr, staffing, budget, timeline, …
+ *   urgency:   { high: [phrase], low: [phrase] },
+ *   sentiment: { positive: [phrase], negative: [phrase] }
+ * }
+ *
+ * A phrase matches whole words, ignoring case and accents (and Arabic
+ * vowel marks); a trailing "*" also matches longer words ("invoic*" ->
+ * invoices, invoicing). A topic is tagged on any match. Urgency and
+ * sentiment weigh one side's matches against the other's, so a tie is
+ * "normal" / "neutral". There is no negation handling: "not frustrated"
+ * still counts as negative.
+ *
+ * tagNotes returns { topics: [topicId], urgency: "high" | "normal" | "low",
+ * sentiment: "positive" | "neutral" | "negative" }, or null for empty text.
+ *
+ * Rules elsewhere (insights.json, leadScoring.json routes) read the tags with
+ * a `note` condition leaf: { "note": "topics", "includes": "billing" } or
+ * { "note": "urgency" | "sentiment", "eq": … }; see noteLeafValue.
+ */
+
+import { answerFor } from "./quizSchema.mjs";
+
+export class NoteLexiconError extends Error {
+  constructor(errors) {
+    super(`Invalid note lexicon:\n- ${errors.join("\n- ")}`);
+    this.name = "NoteLexiconError";
+    this.errors = errors;
+  }
+}
+
+export const NOTES_ROLE = "notes";
+export const URGENCY_LEVELS = ["high", "normal", "low"];
+export const SENTIMENTS = ["positive", "neutral", "negative"];
+export const NOTE_LEAVES = ["topics", "urgency", "sentiment"];
+const NO_TAGS = { topics: [], urgency: "normal", sentiment: "neutral" };
+
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const isPhraseList = (v) => Array.isArray(v) && v.every((p) => typeof p === "string" && p.replace(/\*$/, "").trim().length > 0);
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+export function validateNoteLexicon(def) {
+  const errors = [];
+  if (!isObj(def)) return ["note lexicon must be an object"];
+  if (!isObj(def.topics) || !Object.keys(def.topics).length) errors.push("topics must be a non-empty object");
+  else
+    Object.entries(def.topics).forEach(([id, phrases]) => {
+      if (!isPhraseList(phrases)) errors.push(`topics.${id} must be an array of phrases`);
+    });
+  [
+    ["urgency", ["high", "low"]],
+    ["sentiment", ["positive", "negative"]],
+  ].forEach(([key, sides]) => {
+    if (!isObj(def[key])) return errors.push(`${key} must be an object`);
+    sides.forEach((side) => {
+      if (!isPhraseList(def[key][side])) errors.push(`${key}.${side} must be an array of phrases`);
+    });
+  });
+  return errors;
+}
+
+// lowercase, without accents or Arabic vowel marks, so "Facturación" and "facturacion" meet
+function normalize(text) {
+  return text.toLocaleLowerCase().normalize("NFKD").replace(/\p{M}/gu, "").replace(/\s+/g, " ");
+}
+
+function compile(phrase) {
+  const prefix = phrase.endsWith("*");
+  return { text: normalize(prefix ? phrase.slice(0, -1) : phrase).trim(), prefix };
+}
+
+export function loadNoteLexicon(def) {
+  const errors = validateNoteLexicon(def);
+  if (errors.length) throw new NoteLexiconError(errors);
+  const list = (phrases) => phrases.map(compile);
+  return {
+    version: def.version,
+    topics: Object.entries(def.topics).map(([id, phrases]) => ({ id, phrases: list(phrases) })),
+    urgency: { high: list(def.urgency.high), low: list(def.urgency.low) },
+    sentiment: { positive: list(def.sentiment.positive), negative: list(def.sentiment.negative) },
+  };
+}
+
+function matches(text, { text: phrase, prefix }) {
+  for (let at = text.indexOf(phrase); at !== -1; at = text.indexOf(phrase, at + 1)) {
+    const before = at === 0 ? "" : text[at - 1];
+    const after = text[at + phrase.length] || "";
+    if (!WORD_CHAR.test(before) && (prefix || !WORD_CHAR.test(after))) return true;
+  }
+  return false;
+}
+
+const count = (text, phrases) => phrases.filter((p) => matches(text, p)).length;
+
+/** (text) -> true when any of `phrases` occurs in it, by the same rules as the lexicon. */
+export function phraseMatcher(phrases) {
+  const compiled = phrases.map(compile);
+  return (text) => {
+    const t = normalize(text);
+    return compiled.some((p) => matches(t, p));
+  };
+}
+
+/** Tags for the quiz's `notes` answer, or null when it wasn't given. */
+export function tagAnswers(lexicon, quiz, answers) {
+  return tagNotes(lexicon, answerFor(quiz, answers, NOTES_ROLE));
+}
+
+/** Value of a `note` condition leaf; without notes: no topics, normal urgency, neutral sentiment. */
+export function noteLeafValue(tags, leaf) {
+  return (tags || NO_TAGS)[leaf.note];
+}
+
+/** Error string for a `note` leaf that names no tag, or null (for validateCondition callers). */
+export function unknownNoteLeaf(leaf) {
+  return NOTE_LEAVES.includes(leaf.note) ? null : `note must be one of ${NOTE_LEAVES.join(", ")}`;
+}
+
+/** Tags for `text` with a loaded lexicon; null when there is no text. */
+export function tagNotes(lexicon, text) {
+  if (typeof text !== "string" || !text.trim()) return null;
+  const t = normalize(text);
+  const urgency = count(t, lexicon.urgency.high) - count(t, lexicon.urgency.low);
+  const sentiment = count(t, lexicon.sentiment.positive) - count(t, lexicon.sentiment.negative);
+  return {
+    topics: lexicon.topics.filter((topic) => topic.phrases.some((p) => matches(t, p))).map((topic) => topic.id),
+    urgency: urgency > 0 ? "high" : urgency < 0 ? "low" : "normal",
+    sentiment: sentiment > 0 ? "positive" : sentiment < 0 ? "negative" : "neutral",
+  };
+}
@@ -0,0 +1,199 @@
+/**
+ * Durable webhook outbox
+ *
+ * Every event is written to storage before the first send attempt, so a lead
+ * survives flaky networks, a backend outage or the tab being closed. Pending
+ * entries are retried with capped exponential backoff + jitter, and flushed
+ * again on page load (`start`) and whenever the browser comes back `online`.
+ *
+ * Each entry gets an idempotency key once, at enqueue time, and every retry
+ * reuses it so the receiving side can de-duplicate. By default entries are
+ * never dropped; the delay just stops growing at `maxDelayMs`. An entry is
+ * only given up (and reported to `onGiveUp`) when it was enqueued with
+ * `maxAttempts` and ran out, or when `send` throws an error marked
+ * `retryable: false`.
+ *
+ * With `seal`/`open` (e.g. a PII cipher) payloads are stored sealed: storage is
+ * read once, asynchronously, and the queue is worked from memory while sealed
+ * writes go out one after another in the background.
+ */
+
+function defaultKey() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+export function backoffDelay(attempts, { baseDelayMs, maxDelayMs, random = Math.random }) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempts);
+  // "equal jitter": half fixed, half random – spreads retries without ever retrying instantly
+  return Math.round(ceiling / 2 + random() * (ceiling / 2));
+}
+
+/**
+ * createOutbox({ send, storage, storageKey, ... })
+ * - send(entry) resolves when the event was accepted, throws otherwise
+ * - storage is anything with getItem/setItem (localStorage by default)
+ * - seal(payload) / open(stored) are async; an entry that can't be opened is dropped
+ */
+export function createOutbox({
+  send,
+  storage = typeof localStorage !== "undefined" ? localStorage : null,
+  storageKey = "ai-intake-outbox",
+  baseDelayMs = 2000,
+  maxDelayMs = 10 * 60 * 1000,
+  now = () => Date.now(),
+  random = Math.random,
+  newKey = defaultKey,
+  onGiveUp = () => {},
+  seal = null,
+  open = (stored) => stored,
+}) {
+  const listeners = new Set();
+  let memory = [];
+  let timer = null;
+  let flushing = null;
+  const sealedPayloads = new Map(); // entry id -> stored payload, so a save only seals new entries
+  const hydrated = seal ? hydrate() : Promise.resolve();
+  let writes = hydrated;
+
+  function read() {
+    try {
+      return JSON.parse(storage.getItem(storageKey)) || [];
+    } catch {
+      return null;
+    }
+  }
+
+  function load() {
+    if (!storage || seal) return memory;
+    return read() || memory;
+  }
+
+  // entries enqueued before this finishes are kept after the stored ones
+  async function hydrate() {
+    const stored = (storage && read()) || [];
+    const opened = await Promise.all(
+      stored.map(async (e) => {
+        try {
+          const payload = await open(e.payload);
+          if (payload !== e.payload) sealedPayloads.set(e.id, e.payload);
+          return { ...e, payload };
+        } catch {
+          return null; // its key is gone
+        }
+      })
+    );
+    const known = new Set(memory.map((e) => e.id));
+    memory = [...opened.filter((e) => e && !known.has(e.id)), ...memory];
+    listeners.forEach((fn) => fn(memory.length));
+  }
+
+  async function writeSealed() {
+    const entries = memory;
+    const stored = await Promise.all(
+      entries.map(async (e) => {
+        if (!sealedPayloads.has(e.id)) sealedPayloads.set(e.id, await seal(e.payload));
+        return { ...e, payload: sealedPayloads.get(e.id) };
+      })
+    );
+    const ids = new Set(entries.map((e) => e.id));
+    [...sealedPayloads.keys()].forEach((id) => ids.has(id) || sealedPayloads.delete(id));
+    storage.setItem(storageKey, JSON.stringify(stored));
+  }
+
+  function save(entries) {
+    memory = entries;
+    if (seal && storage) writes = writes.then(writeSealed).catch(() => {});
+    else
+      try {
+        if (storage) storage.setItem(storageKey, JSON.stringify(entries));
+      } catch {}
+    listeners.forEach((fn) => fn(entries.length));
+  }
+
+  function schedule() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    const entries = load();
+    if (!entries.length) return;
+    const next = Math.min(...entries.map((e) => e.nextAttemptAt));
+    timer = setTimeout(() => flush(), Math.max(0, next - now()));
+  }
+
+  // keeps going until nothing due is left, so entries enqueued while a run is
+  // under way go out with it instead of waiting for the next one
+  async function runFlush(force) {
+    const tried = new Set();
+    for (;;) {
+      const entry = load().find((e) => !tried.has(e.id) && (force || e.nextAttemptAt <= now()));
+      if (!entry) return;
+      tried.add(entry.id);
+      try {
+        await send(entry);
+        save(load().filter((e) => e.id !== entry.id));
+      } catch (err) {
+        const attempts = entry.attempts + 1;
+        if ((err && err.retryable === false) || (entry.maxAttempts && attempts >= entry.maxAttempts)) {
+          save(load().filter((e) => e.id !== entry.id));
+          onGiveUp({ ...entry, attempts }, err);
+          continue;
+        }
+        const delay = backoffDelay(attempts, { baseDelayMs, maxDelayMs, random });
+        save(
+          load().map((e) =>
+            e.id === entry.id
+              ? { ...e, attempts, nextAttemptAt: now() + delay, lastError: String((err && err.message) || err) }
+              : e
+          )
+        );
+      }
+    }
+  }
+
+  /**
+   * Sends everything that is due (or everything, with `force`). Concurrent calls
+   * share one run, which also picks up entries enqueued while it runs.
+   */
+  function flush(force = false) {
+    if (!flushing) {
+      flushing = runFlush(force).finally(() => {
+        flushing = null;
+        schedule();
+      });
+    }
+    return flushing;
+  }
+
+  /** Persists the payload and returns its idempotency key. Call flush() to send now. */
+  function enqueue(payload, id = newKey(), { maxAttempts = null } = {}) {
+    save([...load(), { id, payload, attempts: 0, maxAttempts, createdAt: now(), nextAttemptAt: now(), lastError: null }]);
+    return id;
+  }
+
+  /** Drops queued entries whose payload matches, unsent; returns how many. */
+  function discard(match) {
+    const entries = load();
+    const kept = entries.filter((e) => !match(e.payload));
+    if (kept.length !== entries.length) save(kept);
+    return entries.length - kept.length;
+  }
+
+  function start() {
+    // connectivity is back: don't wait out the backoff
+    const onOnline = () => flush(true);
+    if (typeof window !== "undefined") window.addEventListener("online", onOnline);
+    hydrated.then(() => flush());
+    return () => {
+      if (typeof window !== "undefined") window.removeEventListener("online", onOnline);
+      if (timer) clearTimeout(timer);
+      timer = null;
+    };
+  }
+
+  function subscribe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  return { enqueue, discard, flush, start, subscribe, pending: () => load().length, entries: load };
+}
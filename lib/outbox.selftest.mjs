@@ -0,0 +1,96 @@
+/**
+ * Checks for lib/outbox.mjs, runnable without a browser:
+ *
+ *   node lib/outbox.selftest.mjs
+ *
+ * Time and jitter are injected, so nothing here waits on real backoff delays.
+ */
+
+import { createOutbox, backoffDelay } from "./outbox.mjs";
+
+function memoryStorage() {
+  const items = new Map();
+  return { items, getItem: (k) => items.get(k) ?? null, setItem: (k, v) => items.set(k, String(v)) };
+}
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+async function selftest() {
+  let failed = 0;
+  const expect = (label, ok) => {
+    console.log(`${ok ? "ok  " : "FAIL"} ${label}`);
+    if (!ok) failed++;
+  };
+  let clock = 1_000_000;
+  const base = { now: () => clock, random: () => 0.5, baseDelayMs: 1000, maxDelayMs: 8000 };
+
+  expect("backoff grows and stops at maxDelayMs", backoffDelay(0, base) === 750 && backoffDelay(2, base) === 3000 && backoffDelay(9, base) === 6000);
+
+  {
+    const storage = memoryStorage();
+    let down = true;
+    const sent = [];
+    const outbox = createOutbox({ ...base, storage, send: async (e) => (down ? Promise.reject(new Error("down")) : sent.push(e)) });
+    const id = outbox.enqueue({ n: 1 }, "key-1");
+    await outbox.flush();
+    const [entry] = JSON.parse(storage.items.get("ai-intake-outbox"));
+    expect("a failed send stays queued with its backoff", entry.id === "key-1" && entry.attempts === 1 && entry.nextAttemptAt === clock + 1500 && entry.lastError === "down");
+    await outbox.flush();
+    expect("nothing is retried before it is due", outbox.entries()[0].attempts === 1);
+    down = false;
+    const again = createOutbox({ ...base, storage, send: async (e) => sent.push(e) });
+    clock += 1500;
+    await again.flush();
+    expect("a new page picks up the stored entry and reuses its key", sent.length === 1 && sent[0].id === id && again.pending() === 0);
+  }
+
+  {
+    const given = [];
+    const outbox = createOutbox({
+      ...base,
+      storage: memoryStorage(),
+      send: async (e) => {
+        const err = new Error(e.payload.kind);
+        if (e.payload.kind === "refused") err.retryable = false;
+        throw err;
+      },
+      onGiveUp: (e) => given.push(`${e.id}:${e.attempts}`),
+    });
+    outbox.enqueue({ kind: "refused" }, "a");
+    outbox.enqueue({ kind: "flaky" }, "b", { maxAttempts: 2 });
+    await outbox.flush();
+    clock += 10_000;
+    await outbox.flush();
+    expect("non-retryable errors and maxAttempts give up", given.join() === "a:1,b:2" && outbox.pending() === 0);
+  }
+
+  {
+    const outbox = createOutbox({ ...base, storage: memoryStorage(), send: async () => {} });
+    outbox.enqueue({ sessionId: "s1" }, "x");
+    outbox.enqueue({ sessionId: "s2" }, "y");
+    expect("discard drops only matching payloads", outbox.discard((p) => p.sessionId === "s1") === 1 && outbox.entries()[0].id === "y");
+  }
+
+  {
+    const storage = memoryStorage();
+    const seal = async (payload) => ({ box: JSON.stringify(payload) });
+    const open = async (stored) => (stored.box ? JSON.parse(stored.box) : stored);
+    const outbox = createOutbox({ ...base, storage, seal, open, send: () => Promise.reject(new Error("down")) });
+    outbox.enqueue({ email: "ada@example.com" }, "s");
+    await outbox.flush();
+    await tick();
+    const raw = storage.items.get("ai-intake-outbox");
+    expect("sealed payloads never reach storage in plaintext", raw.includes('"box"') && !raw.includes('"email":'));
+    const sent = [];
+    const later = createOutbox({ ...base, storage, seal, open, send: async (e) => sent.push(e.payload) });
+    expect("sealed storage is opened asynchronously", later.pending() === 0);
+    await tick();
+    await later.flush(true);
+    expect("opened entries are sent with their payload", sent.length === 1 && sent[0].email === "ada@example.com");
+  }
+
+  console.log(failed ? `\n${failed} check(s) failed` : "\nall checks passed");
+  process.exit(failed ? 1 : 0); // the outboxes above still hold retry timers
+}
+
+selftest();
@@ -0,0 +1,137 @@
+/**
+ * Privacy – consent records, local retention and PII sealing
+ *
+ * Consent record (sent with the lead event, kept as a ledger on the lead):
+ *
+ * {
+ *   version,        // CONFIG.privacy.consentVersion: bump when the wording's meaning changes
+ *   textSha256,     // hex SHA-256 of the exact consent text shown
+ *   locale,         // language it was shown in
+ *   channel,        // "web" or "embed:<namespace>"
+ *   grantedAt       // ISO timestamp
+ * }
+ *
+ * Retention: funnel state in localStorage carries a last-activity stamp and
+ * is wiped once it is older than the retention period, so a shared
+ * front-desk computer doesn't keep the last visitor's details indefinitely.
+ *
+ * Sealing: createPiiCipher encrypts values with AES-GCM under a
+ * non-extractable key kept in IndexedDB. Stored values read
+ * { sealed: 1, iv, data } instead of plaintext; scripts on the page can still
+ * use the key, so this protects data at rest, not against the page itself.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function toBase64(buffer) {
+  let s = "";
+  new Uint8Array(buffer).forEach((b) => (s += String.fromCharCode(b)));
+  return btoa(s);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+}
+
+export async function sha256Hex(text) {
+  return toHex(await crypto.subtle.digest("SHA-256", encoder.encode(text)));
+}
+
+export async function createConsentRecord({ text, version, locale, channel, now = new Date() }) {
+  return { version, textSha256: await sha256Hex(text), locale, channel, grantedAt: now.toISOString() };
+}
+
+// ---- retention ----
+
+/** True when `stampedAt` (ISO) is more than `retentionDays` before `now`; never without a stamp. */
+export function isExpired(stampedAt, retentionDays, now = new Date()) {
+  const at = Date.parse(stampedAt);
+  return Number.isFinite(at) && now.getTime() - at > retentionDays * DAY_MS;
+}
+
+/** Removes `keys` from `storage`; storage errors are ignored. */
+export function wipeKeys(storage, keys) {
+  keys.forEach((k) => {
+    try {
+      storage.removeItem(k);
+    } catch {}
+  });
+}
+
+// ---- sealing ----
+
+export function isSealed(value) {
+  return value !== null && typeof value === "object" && value.sealed === 1 && typeof value.iv === "string" && typeof value.data === "string";
+}
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/** Key storage for createPiiCipher in one IndexedDB object store: { get(id), put(id, key), delete(id) }. */
+export function indexedDbKeys(dbName = "ai-intake", idb = globalThis.indexedDB) {
+  const STORE = "keys";
+  let db = null;
+  const open = () => {
+    if (!db) {
+      const req = idb.open(dbName, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+      db = request(req);
+    }
+    return db;
+  };
+  const store = async (mode) => (await open()).transaction(STORE, mode).objectStore(STORE);
+  return {
+    get: async (id) => request((await store("readonly")).get(id)),
+    put: async (id, key) => request((await store("readwrite")).put(key, id)),
+    delete: async (id) => request((await store("readwrite")).delete(id)),
+  };
+}
+
+/**
+ * createPiiCipher({ keyId, keys })
+ * seal(value) -> sealed object, open(sealed) -> value. The key is created on
+ * first use; destroy() deletes it, which leaves anything sealed with it unreadable.
+ */
+export function createPiiCipher({ keyId, keys = indexedDbKeys() }) {
+  let key = null;
+
+  function getKey() {
+    if (!key)
+      key = (async () => {
+        const existing = await keys.get(keyId);
+        if (existing) return existing;
+        const created = await crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, false, ["encrypt", "decrypt"]);
+        await keys.put(keyId, created);
+        return created;
+      })();
+    return key;
+  }
+
+  async function seal(value) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, await getKey(), encoder.encode(JSON.stringify(value)));
+    return { sealed: 1, iv: toBase64(iv), data: toBase64(data) };
+  }
+
+  async function open(sealed) {
+    const data = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(sealed.iv) }, await getKey(), fromBase64(sealed.data));
+    return JSON.parse(decoder.decode(data));
+  }
+
+  async function destroy() {
+    key = null;
+    await keys.delete(keyId);
+  }
+
+  return { seal, open, destroy };
+}
@@ -0,0 +1,287 @@
+/**
+ * Quiz definition schema – validation + lookup helpers
+ *
+ * A quiz is plain JSON (see quiz.json) so a new assessment can ship without
+ * touching JSX. `loadQuiz` checks it against the shape below and throws a
+ * QuizSchemaError listing every problem, so a bad definition fails at load
+ * time instead of rendering a half-broken funnel.
+ *
+ * {
+ *   id, version, title,
+ *   sections:  [{ id, title }],
+ *   scoring?:  { thresholds?: { green, amber }, categories?: [{ id, label }] },
+ *   questions: [{
+ *     id, section, type: "yesno" | "single" | "multi" | "text" | "number",
+ *     text, role?, summary?, placeholder?, wide?,
+ *     formerIds?: [id]                          // earlier ids, so saved answers follow a rename
+ *     showIf?:   condition                      // see lib/conditions.mjs
+ *     jump?:     [{ if: condition, to: id | "end" }]
+ *     options?:  [{ id, label }]                // single + multi
+ *     min?, max?, step?, unit?                  // number
+ *     scoring?:  { best, weight, category? }    // yesno
+ *              | { bonus: { [optionId]: points } } // single + multi
+ *   }]
+ * }
+ *
+ * Answers always hold option ids, never labels, so scoring and conditions
+ * keep working when labels are reworded or translated (lib/i18n.mjs).
+ */
+
+import { validateCondition } from "./conditions.mjs";
+
+export const QUESTION_TYPES = ["yesno", "single", "multi", "text", "number"];
+
+export class QuizSchemaError extends Error {
+  constructor(errors) {
+    super(`Invalid quiz definition:\n- ${errors.join("\n- ")}`);
+    this.name = "QuizSchemaError";
+    this.errors = errors;
+  }
+}
+
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const isStr = (v) => typeof v === "string" && v.length > 0;
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+const VALUE_OPS = ["eq", "ne", "in", "notIn", "includes"];
+
+/**
+ * Error string when a condition leaf on an option question compares against
+ * something that is not one of its option ids (typically a stale label), or null.
+ */
+export function unknownOptionValue(q, leaf) {
+  if (!q || !Array.isArray(q.options)) return null;
+  const ids = q.options.map((o) => o && o.id);
+  const bad = VALUE_OPS.flatMap((op) => (op in leaf ? [].concat(leaf[op]) : [])).find((v) => !ids.includes(v));
+  return bad === undefined ? null : `compares against unknown option "${bad}" of ${q.id}`;
+}
+
+function validateBranching(def, errors) {
+  const ids = def.questions.map((q) => q && q.id);
+  const roles = new Set(def.questions.map((q) => q && q.role).filter(Boolean));
+  const find = (leaf) => def.questions.find((q) => q && (leaf.q !== undefined ? q.id === leaf.q : q.role === leaf.role));
+  const isKnownLeaf = (leaf) => {
+    if (leaf.q !== undefined && !ids.includes(leaf.q)) return `references unknown question "${leaf.q}"`;
+    if (leaf.q === undefined && leaf.role === undefined) return "needs a q or role";
+    if (leaf.q === undefined && !roles.has(leaf.role)) return `references unknown role "${leaf.role}"`;
+    return unknownOptionValue(find(leaf), leaf);
+  };
+  def.questions.forEach((q, i) => {
+    if (!isObj(q)) return;
+    const at = `questions[${i}] (${q.id})`;
+    if (q.showIf !== undefined) validateCondition(q.showIf, `${at}.showIf`, isKnownLeaf, errors);
+    if (q.jump === undefined) return;
+    if (!Array.isArray(q.jump)) {
+      errors.push(`${at}.jump must be an array`);
+      return;
+    }
+    q.jump.forEach((j, k) => {
+      validateCondition(j && j.if, `${at}.jump[${k}].if`, isKnownLeaf, errors);
+      if (!j || (j.to !== "end" && ids.indexOf(j.to) <= i))
+        errors.push(`${at}.jump[${k}].to must be a later question id or "end"`);
+    });
+  });
+}
+
+function validateQuestion(q, i, sectionIds, categoryIds, seen, errors) {
+  const at = `questions[${i}]${isStr(q && q.id) ? ` (${q.id})` : ""}`;
+  if (!isObj(q)) {
+    errors.push(`${at} must be an object`);
+    return;
+  }
+  if (!isStr(q.id)) errors.push(`${at}.id must be a non-empty string`);
+  else if (seen.has(q.id)) errors.push(`${at}.id is duplicated`);
+  else seen.add(q.id);
+
+  if (!sectionIds.has(q.section)) errors.push(`${at}.section "${q.section}" is not a declared section`);
+  if (!QUESTION_TYPES.includes(q.type)) errors.push(`${at}.type must be one of ${QUESTION_TYPES.join(", ")}`);
+  if (!isStr(q.text)) errors.push(`${at}.text must be a non-empty string`);
+  if (q.role !== undefined && !isStr(q.role)) errors.push(`${at}.role must be a string`);
+  if (q.formerIds !== undefined && !(Array.isArray(q.formerIds) && q.formerIds.every(isStr)))
+    errors.push(`${at}.formerIds must be an array of ids`);
+
+  const hasOptions = q.type === "single" || q.type === "multi";
+  if (hasOptions) {
+    if (!Array.isArray(q.options) || q.options.length < 2 || !q.options.every((o) => isObj(o) && isStr(o.id) && isStr(o.label)))
+      errors.push(`${at}.options must list at least two { id, label } objects`);
+    else if (new Set(q.options.map((o) => o.id)).size !== q.options.length) errors.push(`${at}.options contains duplicate ids`);
+  } else if (q.options !== undefined) {
+    errors.push(`${at}.options is only allowed on single/multi questions`);
+  }
+
+  if (q.type === "number") {
+    ["min", "max", "step"].forEach((k) => {
+      if (q[k] !== undefined && !isNum(q[k])) errors.push(`${at}.${k} must be a number`);
+    });
+    if (isNum(q.min) && isNum(q.max) && q.min > q.max) errors.push(`${at}.min must not exceed max`);
+  }
+
+  const s = q.scoring;
+  if (s === undefined) return;
+  if (!isObj(s)) {
+    errors.push(`${at}.scoring must be an object`);
+  } else if (q.type === "yesno") {
+    if (s.best !== "yes" && s.best !== "no") errors.push(`${at}.scoring.best must be "yes" or "no"`);
+    if (!isNum(s.weight) || s.weight < 0) errors.push(`${at}.scoring.weight must be a non-negative number`);
+    if (s.category !== undefined && !categoryIds.has(s.category))
+      errors.push(`${at}.scoring.category "${s.category}" is not a declared category`);
+  } else if (hasOptions) {
+    if (!isObj(s.bonus)) errors.push(`${at}.scoring.bonus must map options to points`);
+    else
+      Object.entries(s.bonus).forEach(([opt, pts]) => {
+        if (Array.isArray(q.options) && !q.options.some((o) => o && o.id === opt))
+          errors.push(`${at}.scoring.bonus references unknown option "${opt}"`);
+        if (!isNum(pts)) errors.push(`${at}.scoring.bonus["${opt}"] must be a number`);
+      });
+  } else {
+    errors.push(`${at}.scoring is not supported on ${q.type} questions`);
+  }
+}
+
+function validateScoring(scoring, categoryIds, errors) {
+  const t = scoring.thresholds;
+  if (t !== undefined) {
+    if (!isObj(t) || !isNum(t.green) || !isNum(t.amber)) errors.push("scoring.thresholds needs numeric green and amber");
+    else if (!(t.amber >= 0 && t.amber < t.green && t.green <= 100))
+      errors.push("scoring.thresholds must satisfy 0 <= amber < green <= 100");
+  }
+  if (scoring.categories === undefined) return;
+  if (!Array.isArray(scoring.categories)) {
+    errors.push("scoring.categories must be an array");
+    return;
+  }
+  scoring.categories.forEach((c, i) => {
+    if (!isObj(c) || !isStr(c.id) || !isStr(c.label)) errors.push(`scoring.categories[${i}] needs an id and a label`);
+    else if (categoryIds.has(c.id)) errors.push(`scoring.categories[${i}].id "${c.id}" is duplicated`);
+    else categoryIds.add(c.id);
+  });
+}
+
+/** Returns a list of human-readable problems; empty when the definition is valid. */
+export function validateQuiz(def) {
+  const errors = [];
+  if (!isObj(def)) return ["quiz must be an object"];
+  if (!isStr(def.id)) errors.push("id must be a non-empty string");
+  if (!isNum(def.version)) errors.push("version must be a number");
+  if (!isStr(def.title)) errors.push("title must be a non-empty string");
+
+  const sectionIds = new Set();
+  if (!Array.isArray(def.sections) || def.sections.length === 0) {
+    errors.push("sections must be a non-empty array");
+  } else {
+    def.sections.forEach((s, i) => {
+      if (!isObj(s) || !isStr(s.id) || !isStr(s.title)) errors.push(`sections[${i}] needs an id and a title`);
+      else if (sectionIds.has(s.id)) errors.push(`sections[${i}].id "${s.id}" is duplicated`);
+      else sectionIds.add(s.id);
+    });
+  }
+
+  const categoryIds = new Set();
+  if (def.scoring !== undefined) {
+    if (!isObj(def.scoring)) errors.push("scoring must be an object");
+    else validateScoring(def.scoring, categoryIds, errors);
+  }
+
+  if (!Array.isArray(def.questions) || def.questions.length === 0) {
+    errors.push("questions must be a non-empty array");
+    return errors;
+  }
+  const seen = new Set();
+  const roles = new Set();
+  def.questions.forEach((q, i) => {
+    validateQuestion(q, i, sectionIds, categoryIds, seen, errors);
+    if (isObj(q) && isStr(q.role)) {
+      if (roles.has(q.role)) errors.push(`questions[${i}].role "${q.role}" is used more than once`);
+      roles.add(q.role);
+    }
+  });
+  const former = new Set();
+  def.questions.forEach((q, i) => {
+    if (!isObj(q) || !Array.isArray(q.formerIds)) return;
+    q.formerIds.forEach((id) => {
+      if (seen.has(id) || former.has(id)) errors.push(`questions[${i}].formerIds "${id}" is already in use`);
+      former.add(id);
+    });
+  });
+  validateBranching(def, errors);
+  return errors;
+}
+
+/** Validates a definition and returns it with lookup tables attached. */
+export function loadQuiz(def) {
+  const errors = validateQuiz(def);
+  if (errors.length) throw new QuizSchemaError(errors);
+  const byId = {};
+  const byRole = {};
+  def.questions.forEach((q) => {
+    byId[q.id] = q;
+    if (q.role) byRole[q.role] = q;
+  });
+  return { ...def, scoring: def.scoring || {}, byId, byRole };
+}
+
+export function isAnswered(q, value) {
+  if (value === undefined || value === null) return false;
+  if (q.type === "multi") return Array.isArray(value) && value.length > 0;
+  if (q.type === "number") return isNum(value);
+  return String(value).trim() !== "";
+}
+
+/** True when `value` has the right shape for `q` and names only existing options. */
+export function isValidAnswer(q, value) {
+  const ids = (q.options || []).map((o) => o.id);
+  if (q.type === "yesno") return value === "yes" || value === "no";
+  if (q.type === "single") return ids.includes(value);
+  if (q.type === "multi") return Array.isArray(value) && value.every((v) => ids.includes(v));
+  if (q.type === "number") return isNum(value);
+  return typeof value === "string";
+}
+
+/** Label for an option id; falls back to the id for options removed since the answer was stored. */
+export function optionLabel(q, id) {
+  const opt = (q.options || []).find((o) => o.id === id);
+  return opt ? opt.label : String(id);
+}
+
+const DEFAULT_FORMAT = { yes: "Yes", no: "No", number: String, list: (items) => items.join(", ") };
+
+/**
+ * Display string for an answer; "—" when unanswered. `fmt` localizes the
+ * yes/no words, numbers and list joining (see `answerFormat` in lib/i18n.mjs).
+ */
+export function formatAnswer(q, value, fmt = {}) {
+  const f = { ...DEFAULT_FORMAT, ...fmt };
+  if (!isAnswered(q, value)) return "—";
+  if (q.type === "yesno") return value === "yes" ? f.yes : f.no;
+  if (q.type === "single") return optionLabel(q, value);
+  if (q.type === "multi") return f.list(value.map((v) => optionLabel(q, v)));
+  if (q.type === "number") return q.unit ? `${f.number(value)} ${q.unit}` : f.number(value);
+  return String(value);
+}
+
+/**
+ * Rewrites answers stored as option labels (before options had ids) to ids.
+ * Returns the same object when there is nothing to migrate.
+ */
+export function answersToOptionIds(quiz, answers) {
+  let changed = false;
+  const toId = (q, v) => {
+    const opt = q.options.find((o) => o.label === v && o.id !== v);
+    if (!opt) return v;
+    changed = true;
+    return opt.id;
+  };
+  const out = { ...answers };
+  quiz.questions.forEach((q) => {
+    if (!q.options || answers[q.id] === undefined) return;
+    const v = answers[q.id];
+    out[q.id] = Array.isArray(v) ? v.map((x) => toId(q, x)) : toId(q, v);
+  });
+  return changed ? out : answers;
+}
+
+/** Answer for the question tagged with `role` (e.g. "clinicSize"), if the quiz has one. */
+export function answerFor(quiz, answers, role) {
+  const q = quiz.byRole[role];
+  return q ? answers[q.id] : undefined;
+}
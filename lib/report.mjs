@@ -0,0 +1,231 @@
+/**
+ * Branded PDF assessment report, generated entirely in the browser.
+ *
+ * jsPDF is imported on demand so the funnel does not pay for it until a
+ * visitor actually downloads. Everything is drawn as vector shapes (gauge,
+ * traffic light, category bars) so the report stays crisp and small.
+ *
+ * Pages: 1) score summary  2) insights + recommended next step  3) inputs.
+ *
+ * Labels come from the `i18n` translator (lib/i18n.mjs). jsPDF's built-in
+ * fonts only cover Latin script, so callers pass a Latin-script locale.
+ */
+
+import { formatAnswer } from "./quizSchema.mjs";
+import { attributionSummary } from "./attribution.mjs";
+
+const PAGE_MARGIN = 48;
+const COLORS = {
+  red: "#ef4444",
+  amber: "#f59e0b",
+  green: "#22c55e",
+  ink: "#111827",
+  muted: "#6b7280",
+  track: "#e5e7eb",
+};
+
+// Helvetica in jsPDF only covers WinAnsi; map the few characters our copy and Intl output use outside it
+function pdfSafe(text) {
+  return String(text)
+    .replace(/[‐‑]/g, "-")
+    .replace(/[\u00a0\u202f]/g, " ")
+    .replace(/\*\*(.+?)\*\*/g, "$1");
+}
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+function mix(a, b, t) {
+  const [ra, ga, ba] = hexToRgb(a);
+  const [rb, gb, bb] = hexToRgb(b);
+  return [Math.round(ra + (rb - ra) * t), Math.round(ga + (gb - ga) * t), Math.round(ba + (bb - ba) * t)];
+}
+
+function createWriter(doc, brandColor) {
+  const width = doc.internal.pageSize.getWidth();
+  const height = doc.internal.pageSize.getHeight();
+  const contentWidth = width - PAGE_MARGIN * 2;
+  const w = { doc, width, height, contentWidth, y: PAGE_MARGIN };
+
+  w.ensure = (needed) => {
+    if (w.y + needed > height - PAGE_MARGIN) w.newPage();
+  };
+  w.newPage = () => {
+    doc.addPage();
+    w.y = PAGE_MARGIN;
+  };
+  w.heading = (text) => {
+    w.ensure(40);
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(15);
+    doc.setTextColor(brandColor);
+    doc.text(pdfSafe(text), PAGE_MARGIN, w.y);
+    w.y += 10;
+    doc.setDrawColor(brandColor);
+    doc.setLineWidth(1);
+    doc.line(PAGE_MARGIN, w.y, PAGE_MARGIN + contentWidth, w.y);
+    w.y += 18;
+  };
+  w.paragraph = (text, { size = 11, bold = false, color = COLORS.ink, indent = 0, gap = 6 } = {}) => {
+    doc.setFont("helvetica", bold ? "bold" : "normal");
+    doc.setFontSize(size);
+    doc.setTextColor(color);
+    const lines = doc.splitTextToSize(pdfSafe(text), contentWidth - indent);
+    const lineHeight = size * 1.35;
+    lines.forEach((line) => {
+      w.ensure(lineHeight);
+      doc.text(line, PAGE_MARGIN + indent, w.y);
+      w.y += lineHeight;
+    });
+    w.y += gap;
+  };
+  return w;
+}
+
+function drawGauge(w, percent, label) {
+  const { doc } = w;
+  const cx = w.width / 2;
+  const cy = w.y + 110;
+  const r = 100;
+  // gradient arc: short segments blended red -> amber -> green
+  const steps = 60;
+  doc.setLineWidth(16);
+  for (let i = 0; i < steps; i++) {
+    const t = i / steps;
+    const rgb = t < 0.5 ? mix(COLORS.red, COLORS.amber, t * 2) : mix(COLORS.amber, COLORS.green, (t - 0.5) * 2);
+    doc.setDrawColor(...rgb);
+    const a1 = Math.PI + Math.PI * t;
+    const a2 = Math.PI + Math.PI * ((i + 1) / steps);
+    doc.line(cx + r * Math.cos(a1), cy + r * Math.sin(a1), cx + r * Math.cos(a2), cy + r * Math.sin(a2));
+  }
+  const needle = Math.PI + Math.PI * (Math.max(0, Math.min(100, percent)) / 100);
+  doc.setDrawColor(COLORS.ink);
+  doc.setLineWidth(4);
+  doc.line(cx, cy, cx + (r - 12) * Math.cos(needle), cy + (r - 12) * Math.sin(needle));
+  doc.setFillColor(COLORS.ink);
+  doc.circle(cx, cy, 6, "F");
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(26);
+  doc.setTextColor(COLORS.ink);
+  doc.text(pdfSafe(label), cx, cy + 34, { align: "center" });
+  w.y = cy + 56;
+}
+
+function drawTrafficLight(w, color, label) {
+  const { doc } = w;
+  const x = w.width / 2 - 60;
+  doc.setFillColor(COLORS[color]);
+  doc.circle(x, w.y - 4, 6, "F");
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(12);
+  doc.setTextColor(COLORS.muted);
+  doc.text(pdfSafe(label), x + 14, w.y);
+  w.y += 28;
+}
+
+function drawBars(w, categories, i18n) {
+  const { doc } = w;
+  const labelWidth = 150;
+  const barWidth = w.contentWidth - labelWidth - 40;
+  categories.forEach((c) => {
+    w.ensure(24);
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(10);
+    doc.setTextColor(COLORS.ink);
+    doc.text(pdfSafe(c.label), PAGE_MARGIN, w.y + 8);
+    doc.setFillColor(COLORS.track);
+    doc.roundedRect(PAGE_MARGIN + labelWidth, w.y, barWidth, 10, 5, 5, "F");
+    if (c.pct > 0) {
+      doc.setFillColor(COLORS[c.color]);
+      doc.roundedRect(PAGE_MARGIN + labelWidth, w.y, Math.max(10, (barWidth * c.pct) / 100), 10, 5, 5, "F");
+    }
+    doc.text(pdfSafe(i18n.percent(c.pct)), PAGE_MARGIN + w.contentWidth, w.y + 8, { align: "right" });
+    w.y += 22;
+  });
+  w.y += 8;
+}
+
+function drawFooters(doc, brandName, i18n) {
+  const pages = doc.getNumberOfPages();
+  const width = doc.internal.pageSize.getWidth();
+  const height = doc.internal.pageSize.getHeight();
+  for (let i = 1; i <= pages; i++) {
+    doc.setPage(i);
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(9);
+    doc.setTextColor(COLORS.muted);
+    doc.text(pdfSafe(brandName), PAGE_MARGIN, height - 24);
+    doc.text(pdfSafe(i18n.t("report.page", { page: i, pages })), width - PAGE_MARGIN, height - 24, { align: "right" });
+  }
+}
+
+/**
+ * Builds the report and returns the jsPDF document; call `.save(filename)`
+ * in the browser or `.output("arraybuffer")` elsewhere.
+ */
+export async function buildReportPdf({ brand, i18n, quiz, lead, questions, answers, score, insights, nextStep, attribution, generatedAt = new Date() }) {
+  const { jsPDF } = await import("jspdf");
+  const { t } = i18n;
+  const doc = new jsPDF({ unit: "pt", format: "a4" });
+  const campaign = attributionSummary(attribution);
+  doc.setProperties({
+    title: pdfSafe(`${quiz.title} – ${lead.name || t("report.results")}`),
+    author: brand.name,
+    subject: quiz.title,
+    keywords: campaign.map(([k, v]) => `${k}=${v}`).join(" "),
+  });
+  const w = createWriter(doc, brand.pdfColor);
+
+  // banner
+  doc.setFillColor(brand.pdfColor);
+  doc.rect(0, 0, w.width, 88, "F");
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(20);
+  doc.setTextColor("#ffffff");
+  doc.text(pdfSafe(quiz.title), PAGE_MARGIN, 44);
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(11);
+  doc.text(pdfSafe(t("report.preparedFor", { name: lead.name || t("report.you"), date: i18n.date(generatedAt) })), PAGE_MARGIN, 66);
+  w.y = 124;
+
+  // page 1 – score
+  w.heading(t("report.scoreTitle"));
+  drawGauge(w, score.pct, i18n.percent(score.pct));
+  drawTrafficLight(w, score.color, t(`status.${score.color}`));
+  w.paragraph(t("report.summary", { best: score.yesScore, bonus: score.bonus, overall: i18n.percent(score.pct) }), { color: COLORS.muted });
+  if (score.categories.length) {
+    w.heading(t("report.byCategory"));
+    drawBars(w, score.categories, i18n);
+  }
+
+  // page 2 – insights + next step
+  w.newPage();
+  w.heading(t("report.opportunities"));
+  insights.forEach((i, idx) => w.paragraph(`${idx + 1}. ${i.text}`, { indent: 4 }));
+  if (nextStep) {
+    w.heading(t("report.nextStep"));
+    w.paragraph(nextStep.text);
+  }
+
+  // page 3 – inputs
+  w.newPage();
+  w.heading(t("report.inputs"));
+  [[t("lead.name"), lead.name], [t("lead.email"), lead.email], [t("lead.location"), lead.location]].forEach(([label, value]) =>
+    w.paragraph(`${label}: ${value || "—"}`, { gap: 2 })
+  );
+  w.y += 8;
+  questions.forEach((q) => {
+    w.paragraph(q.text, { size: 10, bold: true, gap: 0 });
+    w.paragraph(formatAnswer(q, answers[q.id], i18n.answerFormat), { size: 10, color: COLORS.muted, indent: 10, gap: 6 });
+  });
+
+  w.y += 8;
+  w.heading(t("report.details"));
+  w.paragraph(`Quiz: ${quiz.id} v${quiz.version} · Generated ${generatedAt.toISOString()}`, { size: 9, color: COLORS.muted, gap: 2 });
+  campaign.forEach(([k, v]) => w.paragraph(`${k}: ${v}`, { size: 9, color: COLORS.muted, gap: 0 }));
+
+  drawFooters(doc, brand.name, i18n);
+  return doc;
+}
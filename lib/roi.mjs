@@ -0,0 +1,132 @@
+/**
+ * ROI / revenue leakage estimate
+ *
+ * Turns the optional "your numbers" answers into a monthly estimate of what
+ * no-shows and manual intake cost, and what the recommended solution could
+ * save. Assumptions live in roi.json so they can be tuned without code:
+ *
+ * {
+ *   version, currency,                   // keep the visitValue question's unit in line
+ *   staffHourlyCost, weeksPerMonth,
+ *   solutions: {
+ *     default:      { noShowReduction, intakeTimeSaved },   // percentages
+ *     <optionId>?:  { … }                // per option of the `solution` question
+ *   }
+ * }
+ *
+ * Inputs are read by question role (ROI_ROLES), so questions can be reworded
+ * or renumbered freely. Each half of the estimate only needs its own inputs:
+ * appointments + no-show rate + visit value for lost revenue, intake hours
+ * for staff time.
+ */
+
+import { answerFor } from "./quizSchema.mjs";
+
+export class RoiModelError extends Error {
+  constructor(errors) {
+    super(`Invalid ROI model:\n- ${errors.join("\n- ")}`);
+    this.name = "RoiModelError";
+    this.errors = errors;
+  }
+}
+
+export const ROI_ROLES = {
+  appointments: "monthlyAppointments",
+  noShowRate: "noShowRate",
+  visitValue: "visitValue",
+  intakeHours: "intakeHours",
+};
+const SOLUTION_ROLE = "solution";
+
+/** Assumptions a visitor may adjust on the results page. */
+export const ADJUSTABLE = ["noShowReduction", "intakeTimeSaved", "staffHourlyCost"];
+
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+const isPct = (v) => isNum(v) && v >= 0 && v <= 100;
+
+export function validateRoiModel(def, quiz) {
+  const errors = [];
+  if (!isObj(def)) return ["ROI model must be an object"];
+  if (typeof def.currency !== "string" || !/^[A-Z]{3}$/.test(def.currency)) errors.push("currency must be an ISO 4217 code");
+  if (!isNum(def.staffHourlyCost) || def.staffHourlyCost < 0) errors.push("staffHourlyCost must be a non-negative number");
+  if (!isNum(def.weeksPerMonth) || def.weeksPerMonth <= 0) errors.push("weeksPerMonth must be a positive number");
+  Object.values(ROI_ROLES).forEach((role) => {
+    const q = quiz.byRole[role];
+    if (!q) errors.push(`quiz needs a question with role "${role}"`);
+    else if (q.type !== "number") errors.push(`question ${q.id} (role "${role}") must be a number question`);
+  });
+  const optionIds = (quiz.byRole[SOLUTION_ROLE]?.options || []).map((o) => o.id);
+  if (!isObj(def.solutions) || !isObj(def.solutions.default)) errors.push("solutions.default is required");
+  else {
+    Object.entries(def.solutions).forEach(([id, s]) => {
+      const at = `solutions.${id}`;
+      if (id !== "default" && !optionIds.includes(id)) errors.push(`${at} is not an option of the "${SOLUTION_ROLE}" question`);
+      if (!isObj(s)) errors.push(`${at} must be an object`);
+      else ["noShowReduction", "intakeTimeSaved"].forEach((k) => {
+        if (!isPct(s[k])) errors.push(`${at}.${k} must be 0–100`);
+      });
+    });
+  }
+  return errors;
+}
+
+export function loadRoiModel(def, quiz) {
+  const errors = validateRoiModel(def, quiz);
+  if (errors.length) throw new RoiModelError(errors);
+  return def;
+}
+
+/** { appointments, noShowRate, visitValue, intakeHours, solution } from the answers; missing ones are undefined. */
+export function roiInputs(quiz, answers) {
+  const inputs = { solution: answerFor(quiz, answers, SOLUTION_ROLE) };
+  Object.entries(ROI_ROLES).forEach(([key, role]) => {
+    const v = answerFor(quiz, answers, role);
+    inputs[key] = isNum(v) && v >= 0 ? v : undefined;
+  });
+  return inputs;
+}
+
+/** The model's assumptions for the chosen solution (or the default one). */
+export function defaultAssumptions(model, solution) {
+  const s = model.solutions[solution] || model.solutions.default;
+  return { noShowReduction: s.noShowReduction, intakeTimeSaved: s.intakeTimeSaved, staffHourlyCost: model.staffHourlyCost };
+}
+
+const money = (n) => Math.round(n);
+const share = (pct) => Math.min(Math.max(pct, 0), 100) / 100;
+
+/**
+ * Monthly estimate in model.currency, or null when neither half has its
+ * inputs. `overrides` replaces any of the ADJUSTABLE assumptions. Parts
+ * without inputs are null:
+ * { currency, solution, assumptions, lostRevenue, noShowSavings,
+ *   intakeCost, hoursSaved, staffSavings, monthlySavings, annualSavings }
+ */
+export function estimateRoi(model, inputs, overrides = {}) {
+  const { appointments, noShowRate, visitValue, intakeHours } = inputs;
+  const a = { ...defaultAssumptions(model, inputs.solution), ...overrides };
+  const hasRevenue = [appointments, noShowRate, visitValue].every((v) => v !== undefined);
+  const hasStaff = intakeHours !== undefined;
+  if (!hasRevenue && !hasStaff) return null;
+
+  const lost = hasRevenue ? appointments * share(noShowRate) * visitValue : null;
+  const hoursPerMonth = hasStaff ? intakeHours * model.weeksPerMonth : null;
+  const noShowSavings = hasRevenue ? lost * share(a.noShowReduction) : 0;
+  const hoursSaved = hasStaff ? hoursPerMonth * share(a.intakeTimeSaved) : 0;
+  const staffSavings = hoursSaved * a.staffHourlyCost;
+  const monthly = noShowSavings + staffSavings;
+
+  return {
+    currency: model.currency,
+    solution: inputs.solution || null,
+    assumptions: a,
+    lostRevenue: hasRevenue ? money(lost) : null,
+    noShowSavings: hasRevenue ? money(noShowSavings) : null,
+    intakeCost: hasStaff ? money(hoursPerMonth * a.staffHourlyCost) : null,
+    hoursSaved: hasStaff ? Math.round(hoursSaved * 10) / 10 : null,
+    staffSavings: hasStaff ? money(staffSavings) : null,
+    monthlySavings: money(monthly),
+    annualSavings: money(monthly * 12),
+  };
+}
@@ -0,0 +1,77 @@
+/**
+ * Readiness scoring engine
+ *
+ * Driven entirely by the `scoring` metadata in the quiz definition:
+ * - yes/no questions earn `weight` when the answer matches `best`, and roll up
+ *   into their `category` sub-score
+ * - single/multi questions add context `bonus` points per picked option;
+ *   negative points are allowed and can pull the score down, but never below 0
+ * - the overall max is the sum of every point actually reachable by the
+ *   questions passed in, so the percentage never exceeds 100
+ * - traffic-light colors come from `scoring.thresholds`
+ */
+
+export const DEFAULT_THRESHOLDS = { green: 75, amber: 45 };
+
+export function colorFor(pct, thresholds = DEFAULT_THRESHOLDS) {
+  if (pct >= thresholds.green) return "green";
+  if (pct >= thresholds.amber) return "amber";
+  return "red";
+}
+
+const toPct = (raw, max) => (max > 0 ? Math.round((raw / max) * 100) : 0);
+
+function maxBonus(q) {
+  const values = Object.values(q.scoring.bonus);
+  if (q.type === "multi") return values.filter((v) => v > 0).reduce((a, b) => a + b, 0);
+  return Math.max(0, ...values);
+}
+
+/**
+ * `questions` should be the visible ones after branching – hidden questions
+ * neither score nor count toward the max. Unanswered questions count as missed.
+ */
+export function computeScore(quiz, answers, questions = quiz.questions) {
+  const thresholds = quiz.scoring.thresholds || DEFAULT_THRESHOLDS;
+  const byCategory = {};
+  let yesScore = 0;
+  let bestMax = 0;
+  let bonus = 0;
+  let bonusMax = 0;
+
+  questions.forEach((q) => {
+    const s = q.scoring;
+    if (!s) return;
+    if (q.type === "yesno") {
+      const hit = answers[q.id] === s.best ? s.weight : 0;
+      yesScore += hit;
+      bestMax += s.weight;
+      if (s.category) {
+        if (!byCategory[s.category]) byCategory[s.category] = { raw: 0, max: 0 };
+        const c = byCategory[s.category];
+        c.raw += hit;
+        c.max += s.weight;
+      }
+      return;
+    }
+    bonusMax += maxBonus(q);
+    [].concat(answers[q.id] ?? []).forEach((v) => {
+      bonus += s.bonus[v] || 0;
+    });
+  });
+
+  const raw = Math.max(0, yesScore + bonus);
+  const max = bestMax + bonusMax;
+  const pct = Math.min(100, toPct(raw, max));
+
+  // categories with no visible questions are left out rather than shown as 0%
+  const categories = (quiz.scoring.categories || [])
+    .filter((c) => byCategory[c.id] && byCategory[c.id].max > 0)
+    .map((c) => {
+      const { raw: cRaw, max: cMax } = byCategory[c.id];
+      const cPct = toPct(cRaw, cMax);
+      return { id: c.id, label: c.label, raw: cRaw, max: cMax, pct: cPct, color: colorFor(cPct, thresholds) };
+    });
+
+  return { raw, max, pct, color: colorFor(pct, thresholds), yesScore, bonus, categories };
+}
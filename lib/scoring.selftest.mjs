@@ -0,0 +1,46 @@
+/**
+ * Checks for lib/scoring.mjs on a small inline quiz:
+ *
+ *   node lib/scoring.selftest.mjs
+ */
+
+import { computeScore, colorFor } from "./scoring.mjs";
+
+const quiz = {
+  scoring: { thresholds: { green: 75, amber: 45 }, categories: [{ id: "ops", label: "Operations" }, { id: "tech", label: "Technology" }] },
+  questions: [
+    { id: "q1", type: "yesno", scoring: { best: "yes", weight: 3, category: "ops" } },
+    { id: "q2", type: "yesno", scoring: { best: "no", weight: 1, category: "ops" } },
+    { id: "q3", type: "yesno", scoring: { best: "yes", weight: 2, category: "tech" } },
+    { id: "size", type: "single", scoring: { bonus: { solo: -4, group: 2 } } },
+    { id: "tools", type: "multi", scoring: { bonus: { ehr: 1, crm: 1, paper: -1 } } },
+  ],
+};
+
+function selftest() {
+  let failed = 0;
+  const expect = (label, ok) => {
+    console.log(`${ok ? "ok  " : "FAIL"} ${label}`);
+    if (!ok) failed++;
+  };
+
+  const best = computeScore(quiz, { q1: "yes", q2: "no", q3: "yes", size: "group", tools: ["ehr", "crm"] });
+  expect("every best answer scores 100%", best.raw === 10 && best.max === 10 && best.pct === 100 && best.color === "green");
+  expect("category sub-scores roll up", best.categories.map((c) => `${c.id}:${c.raw}/${c.max}`).join() === "ops:4/4,tech:2/2");
+
+  const partial = computeScore(quiz, { q1: "yes", q2: "yes", tools: ["ehr", "paper"] });
+  expect("misses and unanswered questions count against the max", partial.raw === 3 && partial.pct === 30 && partial.color === "red");
+
+  const negative = computeScore(quiz, { q2: "no", size: "solo", tools: ["paper"] });
+  expect("negative bonuses never take the score below zero", negative.raw === 0 && negative.pct === 0 && negative.bonus === -5);
+
+  const branched = computeScore(quiz, { q3: "yes" }, quiz.questions.filter((q) => q.id === "q3"));
+  expect("hidden questions neither score nor count", branched.pct === 100 && branched.categories.map((c) => c.id).join() === "tech");
+
+  expect("thresholds pick the color", colorFor(75) === "green" && colorFor(74) === "amber" && colorFor(44) === "red");
+
+  console.log(failed ? `\n${failed} check(s) failed` : "\nall checks passed");
+  process.exitCode = failed ? 1 : 0;
+}
+
+selftest();
@@ -0,0 +1,78 @@
+/**
+ * Shareable results – the snapshot behind a read-only link
+ *
+ * The backend keeps the snapshot under a short random id (POST /shares on
+ * server/intake-server.mjs) and the link only carries that id, so nobody can
+ * edit a link into another score. The sharer can revoke it, and every share
+ * expires after at most MAX_SHARE_DAYS:
+ *
+ * {
+ *   version: 1,
+ *   quiz: { id, version },
+ *   locale,              // the sharer's language; readers get their own
+ *   answers,             // option ids + numbers of the questions shown
+ *   region,              // benchmark region id (lib/benchmarks.mjs) or null
+ * }
+ *
+ * No name, email or location goes in, and free-text answers are left out
+ * since they can hold anything. Score, insights and the ROI estimate are
+ * recomputed from the answers when the link is opened.
+ */
+
+import { isValidAnswer } from "./quizSchema.mjs";
+
+export const SHARE_VERSION = 1;
+export const MAX_SHARE_DAYS = 365;
+const SHARED_ROUTE = "#/shared/";
+
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+/** Snapshot of a finished quiz; `answers` should be the branched ones. */
+export function shareSnapshot(quiz, { answers, locale, region = null }) {
+  const shared = {};
+  Object.entries(answers).forEach(([id, value]) => {
+    const q = quiz.byId[id];
+    if (q && q.type !== "text" && isValidAnswer(q, value)) shared[id] = value;
+  });
+  return { version: SHARE_VERSION, quiz: { id: quiz.id, version: quiz.version }, locale, answers: shared, region };
+}
+
+export function validateSnapshot(snapshot, quiz) {
+  const errors = [];
+  if (!isObj(snapshot)) return ["snapshot must be an object"];
+  if (snapshot.version !== SHARE_VERSION) errors.push(`version ${snapshot.version} is not supported (expected ${SHARE_VERSION})`);
+  if (!isObj(snapshot.quiz) || snapshot.quiz.id !== quiz.id) errors.push(`quiz.id must be "${quiz.id}"`);
+  if (typeof snapshot.locale !== "string") errors.push("locale is required");
+  if (snapshot.region !== null && typeof snapshot.region !== "string") errors.push("region must be a string or null");
+  if (!isObj(snapshot.answers)) errors.push("answers must be an object");
+  else
+    Object.entries(snapshot.answers).forEach(([id, value]) => {
+      const q = quiz.byId[id];
+      if (!q) errors.push(`answers.${id} is not a question`);
+      else if (q.type === "text") errors.push(`answers.${id} is free text, which is never shared`);
+      else if (!isValidAnswer(q, value)) errors.push(`answers.${id} is not a valid ${q.type} answer`);
+    });
+  return errors;
+}
+
+/** ISO expiry `days` from `now`, or null when `days` isn't 1..MAX_SHARE_DAYS. */
+export function shareExpiry(days, now = new Date()) {
+  if (!Number.isInteger(days) || days < 1 || days > MAX_SHARE_DAYS) return null;
+  return new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/** Read-only link for share `id` on the page at `pageUrl`; its query (?lang=, UTM tags…) is dropped. */
+export function shareLink(pageUrl, id) {
+  const url = new URL(pageUrl);
+  return `${url.origin}${url.pathname}${SHARED_ROUTE}${encodeURIComponent(id)}`;
+}
+
+/** Share id from a location hash like "#/shared/<id>", or null. */
+export function sharedIdFromHash(hash) {
+  if (!hash.startsWith(SHARED_ROUTE)) return null;
+  try {
+    return decodeURIComponent(hash.slice(SHARED_ROUTE.length)) || null;
+  } catch {
+    return null; // a mangled link; the funnel shows instead
+  }
+}
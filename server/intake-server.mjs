@@ -0,0 +1,621 @@
+/**
+ * Reference lead-intake backend – a self-hostable stand-in for the n8n webhook
+ *
+ *   node server/intake-server.mjs [port]          # listen (default 4020)
+ *   node server/intake-server.mjs --selftest      # send sample events through a temp store, then exit
+ *
+ * Endpoints
+ *   POST /webhooks/lead-intake   lead / quizResults / booking / progress / abandoned / deletionRequest
+ *                                envelopes (lib/envelope.mjs); any content type, so sendBeacon's text/plain works
+ *   GET  /leads                  JSON list, newest first; filters: color, status,
+ *                                clinicSize, desiredOutcome, from, to (see filterLeads)
+ *   GET  /leads/export.csv       same filters, as CSV (leadsToCsv)
+ *   GET  /leads/<id>             one record
+ *   GET  /availability           { busy: [{ start, end }] } – demo slots already booked, from now on;
+ *                                public, times only
+ *   GET  /benchmarks             peer cohorts built from stored results (lib/benchmarks.mjs);
+ *                                public, cohorts under minSample are left out
+ *   POST /shares                 { snapshot, expiresInDays } -> { id, token, expiresAt }; public,
+ *                                snapshot checked with validateSnapshot (lib/share.mjs)
+ *   GET  /shares/<id>            { snapshot, createdAt, expiresAt }; 404 once revoked, 410 once expired
+ *   DELETE /shares/<id>          revoke, with `Authorization: Bearer <token>` from the POST
+ *   POST /resume                 { state, replaces?: { code, token } } -> { code, token, expiresAt }; public,
+ *                                state checked with validateResumeState (lib/funnelState.mjs); `replaces`
+ *                                drops an earlier code, given the token it came with (403 otherwise)
+ *   GET  /resume/<code>          { state, expiresAt }; 404 for an unknown code, 410 once expired;
+ *                                429 for a client with too many failed lookups (see RESUME_MISSES)
+ *   GET  /health
+ *
+ * Environment
+ *   INTAKE_DATA_FILE       JSON store path (default server/data/leads.json)
+ *   INTAKE_SIGNING_SECRET  when set, events must carry a valid X-Intake-Signature
+ *   INTAKE_ADMIN_TOKEN     /leads* needs `Authorization: Bearer <token>`; without one they answer 403
+ *   INTAKE_CORS_ORIGIN     Access-Control-Allow-Origin for the funnel's routes (default *); /leads*
+ *                          never send it, so no web page can read leads cross-origin
+ *   INTAKE_BENCHMARK_MIN_SAMPLE  smallest cohort /benchmarks reports (default: benchmarks.json)
+ *   INTAKE_RESUME_DAYS     how long a resume code works (default 7)
+ *
+ * Every event is checked with validateEnvelope. Retries are dropped by
+ * eventId; a lead and its quizResults land on one record per email + session.
+ * A booking that overlaps another session's is refused with 409, so two
+ * visitors can't take the same demo slot; a session may move its own.
+ * The latest progress / abandoned snapshot is kept as the record's `progress`.
+ * Consent records pile up in the record's `consents` ledger. A deletionRequest
+ * erases the records and resume codes of its session that carry its email;
+ * without INTAKE_SIGNING_SECRET it must name one, so a bare session id can't
+ * erase anyone. A signed one without an email erases the whole session. Only
+ * its event id is kept, for de-duping.
+ * Records have the lib/leadStore.mjs shape, so its filters and CSV apply as-is.
+ * Node 18+, no dependencies.
+ */
+
+import http from "node:http";
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { createEnvelope, createEventId, validateEnvelope, verifySignature, signBody, SIGNATURE_HEADER } from "../lib/envelope.mjs";
+import { loadQuiz } from "../lib/quizSchema.mjs";
+import { filterLeads, leadsToCsv, RECORDED_FIELDS } from "../lib/leadStore.mjs";
+import { buildBenchmarks } from "../lib/benchmarks.mjs";
+import { validateSnapshot, shareExpiry, MAX_SHARE_DAYS } from "../lib/share.mjs";
+import { validateResumeState, createResumeCode, normalizeResumeCode } from "../lib/funnelState.mjs";
+
+const ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const EVENT_PATH = "/webhooks/lead-intake";
+const MAX_BODY_BYTES = 1024 * 1024;
+const FILTER_KEYS = ["color", "status", "clinicSize", "desiredOutcome", "from", "to"];
+// failed GET /resume lookups one client address gets per window, so codes can't be guessed in bulk
+const RESUME_MISSES = { limit: 10, windowMs: 15 * 60 * 1000 };
+
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const emailKey = (email) => String(email || "").trim().toLowerCase();
+const overlaps = (a, b) => Date.parse(a.start) < Date.parse(b.end) && Date.parse(b.start) < Date.parse(a.end);
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+
+/**
+ * createFileStore(file) – leads, seen event ids, results shares and resume codes in one JSON file:
+ * { leads: [record], eventIds: [id], shares: [{ id, tokenHash, snapshot, createdAt, expiresAt }],
+ *   resumes: [{ code, tokenHash, sessionId, state, createdAt, expiresAt }] }
+ * Writes are serialized and go through a temp file + rename, so a crash
+ * never leaves half a file behind. Only a hash of each share / resume token is kept.
+ */
+export function createFileStore(file, { now = () => new Date() } = {}) {
+  let data = null;
+  let queue = Promise.resolve();
+
+  async function load() {
+    if (data) return data;
+    try {
+      data = JSON.parse(await fs.readFile(file, "utf8"));
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+      data = { leads: [], eventIds: [] };
+    }
+    data.shares = data.shares || []; // stores from before shares existed
+    data.resumes = data.resumes || [];
+    return data;
+  }
+
+  async function save() {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+    await fs.rename(tmp, file);
+  }
+
+  // one write at a time, in arrival order
+  function exclusive(fn) {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  /** Stores an event; resolves { record, duplicate, deleted, conflict }. */
+  function ingest(envelope) {
+    return exclusive(async () => {
+      const db = await load();
+      if (db.eventIds.includes(envelope.eventId)) return { record: null, duplicate: true };
+      if (envelope.type === "deletionRequest") {
+        const email = envelope.data.email ? emailKey(envelope.data.email) : null;
+        const erased = (sessionId, lead) => sessionId === envelope.sessionId && (email === null || emailKey(lead && lead.email) === email);
+        const before = db.leads.length;
+        db.leads = db.leads.filter((r) => !erased(r.sessionId, r.lead));
+        db.resumes = db.resumes.filter((r) => !erased(r.sessionId, r.state.lead));
+        db.eventIds.push(envelope.eventId);
+        await save();
+        return { record: null, duplicate: false, deleted: before - db.leads.length };
+      }
+
+      if (envelope.type === "booking" && db.leads.some((r) => r.booking && r.sessionId !== envelope.sessionId && overlaps(r.booking, envelope.data.booking)))
+        return { record: null, duplicate: false, conflict: true };
+
+      const fields = {};
+      RECORDED_FIELDS.forEach((k) => {
+        if (envelope.data[k] !== undefined) fields[k] = envelope.data[k];
+      });
+      if (envelope.type === "booking") fields.status = "booked";
+      const at = now().toISOString();
+      const email = emailKey(envelope.data.lead.email);
+      let record = db.leads.find((r) => r.sessionId === envelope.sessionId && emailKey(r.lead.email) === email);
+      if (envelope.data.consent) fields.consents = [...((record && record.consents) || []), envelope.data.consent];
+      if (record) Object.assign(record, fields, { updatedAt: at });
+      else {
+        record = {
+          id: createEventId(),
+          sessionId: envelope.sessionId,
+          createdAt: envelope.occurredAt,
+          updatedAt: at,
+          status: "new",
+          notes: [],
+          ...fields,
+        };
+        db.leads.push(record);
+      }
+      db.eventIds.push(envelope.eventId);
+      await save();
+      return { record, duplicate: false };
+    });
+  }
+
+  async function all() {
+    const db = await load();
+    return [...db.leads].sort((a, b) => (a.createdAt < b.createdAt ? 1 : a.createdAt > b.createdAt ? -1 : 0));
+  }
+
+  async function get(id) {
+    return (await load()).leads.find((r) => r.id === id) || null;
+  }
+
+  /** Booked { start, end } ranges that haven't ended, soonest first. */
+  async function busy() {
+    const at = now().getTime();
+    return (await load()).leads
+      .filter((r) => r.booking && Date.parse(r.booking.end) > at)
+      .map((r) => ({ start: r.booking.start, end: r.booking.end }))
+      .sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+  }
+
+  /** Stores a snapshot under a new short id; resolves { id, token, expiresAt }. Drops expired shares. */
+  function createShare(snapshot, expiresAt) {
+    return exclusive(async () => {
+      const db = await load();
+      const at = now().toISOString();
+      const share = { id: crypto.randomBytes(9).toString("base64url"), snapshot, createdAt: at, expiresAt };
+      const token = crypto.randomBytes(24).toString("base64url");
+      db.shares = db.shares.filter((s) => s.expiresAt > at);
+      db.shares.push({ ...share, tokenHash: sha256(token) });
+      await save();
+      return { id: share.id, token, expiresAt };
+    });
+  }
+
+  async function getShare(id) {
+    return (await load()).shares.find((s) => s.id === id) || null;
+  }
+
+  /** Deletes a share; resolves false when `token` isn't the one it was created with. */
+  function revokeShare(id, token) {
+    return exclusive(async () => {
+      const db = await load();
+      const share = db.shares.find((s) => s.id === id);
+      if (!share) return null;
+      const given = Buffer.from(sha256(String(token)));
+      if (!crypto.timingSafeEqual(given, Buffer.from(share.tokenHash))) return false;
+      db.shares = db.shares.filter((s) => s !== share);
+      await save();
+      return true;
+    });
+  }
+
+  /**
+   * Stores progress under a new code; resolves { code, token, expiresAt }, or null when
+   * `replaces` ({ code, token }) names a live code whose token doesn't match. Drops expired codes.
+   */
+  function createResume(state, expiresAt, replaces = null) {
+    return exclusive(async () => {
+      const db = await load();
+      const at = now().toISOString();
+      db.resumes = db.resumes.filter((r) => r.expiresAt > at);
+      const old = replaces && db.resumes.find((r) => r.code === replaces.code);
+      if (old) {
+        const given = Buffer.from(sha256(String(replaces.token)));
+        if (!crypto.timingSafeEqual(given, Buffer.from(old.tokenHash))) return null;
+        db.resumes = db.resumes.filter((r) => r !== old);
+      }
+      let code;
+      do code = createResumeCode((n) => crypto.randomBytes(n));
+      while (db.resumes.some((r) => r.code === code));
+      const token = crypto.randomBytes(24).toString("base64url");
+      db.resumes.push({ code, tokenHash: sha256(token), sessionId: state.sessionId, state, createdAt: at, expiresAt });
+      await save();
+      return { code, token, expiresAt };
+    });
+  }
+
+  async function getResume(code) {
+    return (await load()).resumes.find((r) => r.code === code) || null;
+  }
+
+  return { ingest, all, get, busy, createShare, getShare, revokeShare, createResume, getResume };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "body too large"));
+        req.destroy();
+      } else chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function parseJson(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw new HttpError(400, "body is not valid JSON");
+  }
+}
+
+function bearer(req) {
+  const m = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  return m ? m[1].trim() : "";
+}
+
+// counts failures per key over a fixed window; memory only, so a restart forgives everyone
+function createThrottle({ limit, windowMs, now = () => Date.now() }) {
+  const misses = new Map();
+  const current = (key) => {
+    const entry = misses.get(key);
+    return entry && entry.until > now() ? entry : null;
+  };
+  return {
+    /** Seconds until `key` may try again, or 0. */
+    blockedFor(key) {
+      const entry = current(key);
+      return entry && entry.count >= limit ? Math.ceil((entry.until - now()) / 1000) : 0;
+    },
+    miss(key) {
+      const entry = current(key) || { count: 0, until: now() + windowMs };
+      misses.set(key, { ...entry, count: entry.count + 1 });
+      if (misses.size > 10000) misses.forEach((e, k) => e.until <= now() && misses.delete(k));
+    },
+  };
+}
+
+/**
+ * createIntakeServer({ store, quiz, benchmarks, signingSecret, adminToken, corsOrigin, resumeDays, resumeMisses, log })
+ * `benchmarks` is { regions, minSample } for GET /benchmarks. Returns an unstarted http.Server.
+ */
+export function createIntakeServer({
+  store,
+  quiz,
+  benchmarks,
+  signingSecret = "",
+  adminToken = "",
+  corsOrigin = "*",
+  resumeDays = 7,
+  resumeMisses = RESUME_MISSES,
+  log = console.log,
+}) {
+  const cors = { "Access-Control-Allow-Origin": corsOrigin };
+  const resumeThrottle = createThrottle(resumeMisses);
+
+  // admin routes leave CORS out: they are for curl / scripts, not for pages in a browser
+  const isAdminPath = (pathname) => pathname === "/leads" || pathname.startsWith("/leads/");
+
+  function send(res, status, body, type = "application/json") {
+    res.writeHead(status, { ...(res.admin ? {} : cors), "Content-Type": type });
+    res.end(type === "application/json" ? JSON.stringify(body) : body);
+  }
+
+  async function receive(req) {
+    const raw = await readBody(req);
+    if (signingSecret) {
+      const check = await verifySignature({ body: raw, header: req.headers[SIGNATURE_HEADER.toLowerCase()], secret: signingSecret });
+      if (!check.ok) throw new HttpError(401, check.reason);
+    }
+    const envelope = parseJson(raw);
+    const errors = validateEnvelope(envelope);
+    if (errors.length) throw new HttpError(422, "invalid event", errors);
+    if (envelope.type === "deletionRequest" && !signingSecret && !envelope.data.email)
+      throw new HttpError(403, "an unsigned deletionRequest must name the session's email");
+    const { record, duplicate, deleted, conflict } = await store.ingest(envelope);
+    if (conflict) throw new HttpError(409, "that demo slot is already booked");
+    const outcome = duplicate ? " (duplicate)" : record ? ` -> lead ${record.id}` : ` -> ${deleted} record(s) erased`;
+    log(`${envelope.type} ${envelope.eventId}${outcome}`);
+    return { ok: true, duplicate, leadId: record ? record.id : undefined, deleted };
+  }
+
+  async function createShare(req) {
+    const { snapshot, expiresInDays } = parseJson(await readBody(req)) || {};
+    const errors = validateSnapshot(snapshot, quiz);
+    const expiresAt = shareExpiry(expiresInDays, new Date());
+    if (!expiresAt) errors.push(`expiresInDays must be a whole number from 1 to ${MAX_SHARE_DAYS}`);
+    if (errors.length) throw new HttpError(422, "invalid share", errors);
+    const share = await store.createShare(snapshot, expiresAt);
+    log(`share ${share.id} until ${expiresAt}`);
+    return share;
+  }
+
+  async function shareRoute(req, id) {
+    if (req.method === "DELETE") {
+      const revoked = await store.revokeShare(id, bearer(req));
+      if (revoked === null) throw new HttpError(404, "no such share");
+      if (!revoked) throw new HttpError(403, "wrong share token");
+      log(`share ${id} revoked`);
+      return { ok: true };
+    }
+    if (req.method !== "GET") throw new HttpError(405, "use GET or DELETE");
+    const share = await store.getShare(id);
+    if (!share) throw new HttpError(404, "no such share");
+    if (share.expiresAt <= new Date().toISOString()) throw new HttpError(410, "share expired");
+    return { snapshot: share.snapshot, createdAt: share.createdAt, expiresAt: share.expiresAt };
+  }
+
+  async function createResume(req) {
+    const { state, replaces } = parseJson(await readBody(req)) || {};
+    const errors = validateResumeState(state);
+    if (replaces !== undefined && (!replaces || typeof replaces.code !== "string" || typeof replaces.token !== "string"))
+      errors.push("replaces must be { code, token }");
+    if (errors.length) throw new HttpError(422, "invalid resume state", errors);
+    const resume = await store.createResume(state, new Date(Date.now() + resumeDays * 24 * 60 * 60 * 1000).toISOString(), replaces);
+    if (!resume) throw new HttpError(403, "wrong resume token");
+    log(`resume code for session ${state.sessionId} until ${resume.expiresAt}`);
+    return resume;
+  }
+
+  async function getResume(req, res, code) {
+    const client = req.socket.remoteAddress || "";
+    const wait = resumeThrottle.blockedFor(client);
+    if (wait) {
+      res.setHeader("Retry-After", String(wait));
+      throw new HttpError(429, "too many failed resume lookups, try again later");
+    }
+    const resume = code && (await store.getResume(code));
+    if (!resume) {
+      resumeThrottle.miss(client);
+      throw new HttpError(404, "no such resume code");
+    }
+    if (resume.expiresAt <= new Date().toISOString()) throw new HttpError(410, "resume code expired");
+    return { state: resume.state, expiresAt: resume.expiresAt };
+  }
+
+  function filtersFrom(url) {
+    const filters = {};
+    FILTER_KEYS.forEach((k) => {
+      filters[k] = url.searchParams.get(k) || "";
+    });
+    return filters;
+  }
+
+  async function route(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    res.admin = isAdminPath(url.pathname);
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, {
+        ...(res.admin ? {} : cors),
+        "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
+        "Access-Control-Allow-Headers": "*",
+      });
+      res.end();
+      return;
+    }
+    if (url.pathname === "/health") return send(res, 200, { ok: true });
+    if (url.pathname === "/availability") {
+      if (req.method !== "GET") throw new HttpError(405, "use GET");
+      return send(res, 200, { busy: await store.busy() });
+    }
+    if (url.pathname === "/benchmarks") {
+      if (req.method !== "GET") throw new HttpError(405, "use GET");
+      return send(res, 200, buildBenchmarks(await store.all(), quiz, benchmarks));
+    }
+    if (url.pathname === "/shares") {
+      if (req.method !== "POST") throw new HttpError(405, "use POST");
+      return send(res, 201, await createShare(req));
+    }
+    if (url.pathname.startsWith("/shares/")) return send(res, 200, await shareRoute(req, decodeURIComponent(url.pathname.slice("/shares/".length))));
+    if (url.pathname === "/resume") {
+      if (req.method !== "POST") throw new HttpError(405, "use POST");
+      return send(res, 201, await createResume(req));
+    }
+    if (url.pathname.startsWith("/resume/")) {
+      if (req.method !== "GET") throw new HttpError(405, "use GET");
+      return send(res, 200, await getResume(req, res, normalizeResumeCode(url.pathname.slice("/resume/".length))));
+    }
+    if (url.pathname === EVENT_PATH) {
+      if (req.method !== "POST") throw new HttpError(405, "use POST");
+      return send(res, 200, await receive(req));
+    }
+    if (res.admin) {
+      if (req.method !== "GET") throw new HttpError(405, "use GET");
+      if (!adminToken) throw new HttpError(403, "set INTAKE_ADMIN_TOKEN to use /leads");
+      if (bearer(req) !== adminToken) throw new HttpError(401, "missing or wrong bearer token");
+      if (url.pathname === "/leads") return send(res, 200, { leads: filterLeads(await store.all(), filtersFrom(url), quiz) });
+      if (url.pathname === "/leads/export.csv") {
+        const csv = "\ufeff" + leadsToCsv(filterLeads(await store.all(), filtersFrom(url), quiz), quiz);
+        res.setHeader("Content-Disposition", `attachment; filename="ai-intake-leads-${new Date().toISOString().slice(0, 10)}.csv"`);
+        return send(res, 200, csv, "text/csv; charset=utf-8");
+      }
+      const record = await store.get(decodeURIComponent(url.pathname.slice("/leads/".length)));
+      if (!record) throw new HttpError(404, "no such lead");
+      return send(res, 200, record);
+    }
+    throw new HttpError(404, "not found");
+  }
+
+  return http.createServer((req, res) => {
+    route(req, res).catch((e) => {
+      if (!(e instanceof HttpError)) log(`error: ${e.stack || e}`);
+      const status = e instanceof HttpError ? e.status : 500;
+      if (!res.headersSent) send(res, status, { ok: false, error: e instanceof HttpError ? e.message : "internal error", details: e.details });
+    });
+  });
+}
+
+async function readJson(name) {
+  return JSON.parse(await fs.readFile(path.join(ROOT, name), "utf8"));
+}
+
+async function loadQuizFile() {
+  return loadQuiz(await readJson("quiz.json"));
+}
+
+function listen(server, port) {
+  return new Promise((resolve) => server.listen(port, () => resolve(server.address().port)));
+}
+
+async function selftest() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "intake-"));
+  const secret = "selftest-secret";
+  const token = "selftest-token";
+  const server = createIntakeServer({
+    store: createFileStore(path.join(dir, "leads.json")),
+    quiz: await loadQuizFile(),
+    benchmarks: { regions: (await readJson("benchmarks.json")).regions, minSample: 1 },
+    signingSecret: secret,
+    adminToken: token,
+    resumeMisses: { limit: 3, windowMs: 60 * 1000 },
+    log: () => {},
+  });
+  const port = await listen(server, 0);
+  const base = `http://localhost:${port}`;
+  let failed = 0;
+  const expect = (label, ok) => {
+    console.log(`${ok ? "ok  " : "FAIL"} ${label}`);
+    if (!ok) failed++;
+  };
+  const post = async (envelope, { sign = true } = {}) => {
+    const body = JSON.stringify(envelope);
+    const headers = { "Content-Type": "application/json" };
+    if (sign) headers[SIGNATURE_HEADER] = await signBody(secret, body);
+    const res = await fetch(base + EVENT_PATH, { method: "POST", headers, body });
+    return { status: res.status, body: await res.json() };
+  };
+  const get = (p, auth = true) => fetch(base + p, { headers: auth ? { Authorization: `Bearer ${token}` } : {} });
+
+  try {
+    const meta = { sessionId: "selftest", quiz: { id: "ai-intake-readiness", version: 1 } };
+    const lead = { name: "Dr. Jane Doe", email: "Jane@Clinic.test", location: "Austin, USA", consent: true };
+    const consent = { version: "2026-10", textSha256: "0".repeat(64), locale: "en", channel: "web", grantedAt: new Date().toISOString() };
+    const leadEvent = createEnvelope("lead", { lead, locale: "en", consent }, meta);
+    const results = createEnvelope(
+      "quizResults",
+      {
+        lead: { ...lead, email: "jane@clinic.test" },
+        locale: "en",
+        answers: { q1: "no", q2: "yes", q11: "growing", q12: "reduce-no-shows" },
+        score: { raw: 5, max: 12.5, pct: 40, color: "red" },
+        nextStep: { ruleId: "next-red", text: "Start with **automated reminders**." },
+        noteTags: { topics: ["billing"], urgency: "high", sentiment: "neutral" },
+        leadScore: { modelVersion: 1, points: 70, max: 115, pct: 61, tier: "warm", signals: [], route: { id: "warm", owner: "sales-team" } },
+      },
+      meta
+    );
+
+    expect("lead accepted", (await post(leadEvent)).status === 200);
+    expect("retry dropped by eventId", (await post(leadEvent)).body.duplicate === true);
+    expect("quizResults accepted", (await post(results)).status === 200);
+    expect("unsigned event rejected", (await post(createEnvelope("lead", { lead }, meta), { sign: false })).status === 401);
+    expect("invalid event rejected", (await post({ ...results, eventId: "bad", data: { lead: {} } })).status === 422);
+    const start = Date.UTC(new Date().getUTCFullYear() + 1, 0, 5, 14);
+    const booking = { start: new Date(start).toISOString(), end: new Date(start + 20 * 60 * 1000).toISOString(), timeZone: "America/Chicago" };
+    expect("booking accepted", (await post(createEnvelope("booking", { lead, booking }, meta))).status === 200);
+    const other = { name: "Sam Roe", email: "sam@clinic.test", location: "Austin, USA", consent: true };
+    const clash = createEnvelope("booking", { lead: other, booking: { ...booking, start: new Date(start + 10 * 60 * 1000).toISOString() } }, { ...meta, sessionId: "other" });
+    expect("overlapping booking refused", (await post(clash)).status === 409);
+    const { busy } = await (await get("/availability", false)).json();
+    expect("availability lists taken slots only", busy.length === 1 && busy[0].start === booking.start && !("lead" in busy[0]));
+    const unfinished = { stage: "quiz", answeredIds: ["q1", "q2"], pct: 13 };
+    expect("progress accepted", (await post(createEnvelope("progress", { lead, progress: unfinished }, meta))).status === 200);
+    expect("abandoned needs a reason", (await post(createEnvelope("abandoned", { lead, progress: unfinished }, meta))).status === 422);
+    expect("abandoned accepted", (await post(createEnvelope("abandoned", { lead, progress: { ...unfinished, reason: "pagehide" } }, meta))).status === 200);
+
+    const { leads } = await (await get("/leads?color=red&clinicSize=growing")).json();
+    expect("one record per email + session", leads.length === 1 && leads[0].score.pct === 40 && leads[0].locale === "en");
+    expect("booking marks the lead booked", leads[0].status === "booked" && leads[0].booking.timeZone === "America/Chicago");
+    expect("last progress snapshot kept", leads[0].progress.reason === "pagehide" && leads[0].progress.pct === 13);
+    expect("note tags kept", leads[0].noteTags.urgency === "high" && leads[0].noteTags.topics[0] === "billing");
+    expect("lead score kept for sales", leads[0].leadScore.tier === "warm" && leads[0].leadScore.route.owner === "sales-team");
+    expect("consent kept in the ledger", leads[0].consents.length === 1 && leads[0].consents[0].version === "2026-10");
+    expect("list needs the token", (await get("/leads", false)).status === 401);
+    expect("leads are never readable cross-origin", !(await get("/leads")).headers.has("access-control-allow-origin"));
+    const csv = await (await get("/leads/export.csv")).text();
+    expect("csv export", csv.split("\r\n").length === 2 && csv.includes("Growing clinic"));
+    expect("single record", (await get(`/leads/${leads[0].id}`)).status === 200);
+    const { cohorts } = await (await get("/benchmarks", false)).json();
+    expect("benchmarks by size + region", cohorts.length === 4 && cohorts.every((c) => c.sample === 1 && c.overall[5] === 40));
+
+    const snapshot = { version: 1, quiz: meta.quiz, locale: "en", answers: { q1: "no", q11: "growing" }, region: "north-america" };
+    const share = (body) => fetch(`${base}/shares`, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+    const created = await (await share({ snapshot, expiresInDays: 7 })).json();
+    const opened = await (await get(`/shares/${created.id}`, false)).json();
+    expect("share opens read-only", opened.snapshot.answers.q11 === "growing" && !("lead" in opened.snapshot));
+    expect("free text is never shared", (await share({ snapshot: { ...snapshot, answers: { q15: "call me" } }, expiresInDays: 7 })).status === 422);
+    expect("expiry is required", (await share({ snapshot })).status === 422);
+    const revoke = (t) => fetch(`${base}/shares/${created.id}`, { method: "DELETE", headers: { Authorization: `Bearer ${t}` } });
+    expect("revoke needs the share token", (await revoke("wrong")).status === 403);
+    expect("revoked share is gone", (await revoke(created.token)).status === 200 && (await get(`/shares/${created.id}`, false)).status === 404);
+
+    const progress = { version: 1, quiz: meta.quiz, sessionId: meta.sessionId, stage: "quiz", locale: "en", lead, answers: { q1: "no" }, experiments: {} };
+    const saveProgress = (state, replaces) =>
+      fetch(`${base}/resume`, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ state, replaces }) });
+    const first = await (await saveProgress(progress)).json();
+    expect("replacing a code needs its token", (await saveProgress(progress, { code: first.code, token: "guess" })).status === 403);
+    expect("same session alone replaces nothing", (await get(`/resume/${first.code}`, false)).status === 200);
+    const { code } = await (await saveProgress(progress, { code: first.code, token: first.token })).json();
+    const resumed = await (await get(`/resume/${code.slice(0, 4)}-${code.slice(4, 8)}-${code.slice(8).toLowerCase()}`, false)).json();
+    expect("resume code restores progress", code.length === 12 && resumed.state.answers.q1 === "no" && resumed.state.stage === "quiz");
+    expect("a new code replaces the one it names", (await get(`/resume/${first.code}`, false)).status === 404);
+    expect("invalid progress rejected", (await saveProgress({ ...progress, stage: "done" })).status === 422);
+
+    const stranger = await post(createEnvelope("deletionRequest", { email: "someone@else.test" }, meta));
+    expect("deletion needs the session's email", stranger.body.deleted === 0 && (await get(`/resume/${code}`, false)).status === 200);
+    const erase = await post(createEnvelope("deletionRequest", { email: lead.email }, meta));
+    expect("deletion request erases the session", erase.body.deleted === 1 && (await (await get("/leads")).json()).leads.length === 0);
+    expect("and its resume code", (await get(`/resume/${code}`, false)).status === 404);
+    await get("/resume/ZZZZ-ZZZZ-ZZZZ", false); // third miss with limit 3
+    expect("failed resume lookups are throttled", (await get(`/resume/${code}`, false)).status === 429);
+  } finally {
+    server.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+  process.exitCode = failed ? 1 : 0;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2);
+  if (args.includes("--selftest")) selftest();
+  else {
+    const env = process.env;
+    const seed = await readJson("benchmarks.json");
+    const server = createIntakeServer({
+      store: createFileStore(env.INTAKE_DATA_FILE || path.join(ROOT, "server", "data", "leads.json")),
+      quiz: await loadQuizFile(),
+      benchmarks: { regions: seed.regions, minSample: Number(env.INTAKE_BENCHMARK_MIN_SAMPLE) || seed.minSample },
+      signingSecret: env.INTAKE_SIGNING_SECRET || "",
+      adminToken: env.INTAKE_ADMIN_TOKEN || "",
+      corsOrigin: env.INTAKE_CORS_ORIGIN || "*",
+      resumeDays: Number(env.INTAKE_RESUME_DAYS) || 7,
+    });
+    const port = await listen(server, Number(args[0]) || 4020);
+    console.log(`Lead intake listening on http://localhost:${port}${EVENT_PATH}`);
+    if (!env.INTAKE_ADMIN_TOKEN) console.log("INTAKE_ADMIN_TOKEN is not set: /leads and its CSV export stay closed.");
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * Local mock for lead destinations
+ *
+ *   node server/mock-destinations.mjs [port]          # listen and log every request
+ *   node server/mock-destinations.mjs --selftest      # push a sample event through every mapper, then exit
+ *
+ * Point a destination's `url` at http://localhost:4010/<anything> to see the
+ * exact body each mapper produces. Add `?status=500` (or any code) to the
+ * url to simulate a failing target and watch the outbox retry or give up.
+ */
+
+import http from "node:http";
+import { pathToFileURL } from "node:url";
+import { MAPPERS, deliver, DeliveryError } from "../lib/destinations.mjs";
+import { createEnvelope } from "../lib/envelope.mjs";
+
+export function startMockServer(port = 4010, { log = console.log } = {}) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    if (req.method === "OPTIONS") {
+      // browser preflight for JSON bodies + Idempotency-Key / signature headers
+      res.writeHead(204, {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "POST, OPTIONS",
+        "Access-Control-Allow-Headers": "*",
+      });
+      res.end();
+      return;
+    }
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      const url = new URL(req.url, `http://localhost:${port}`);
+      let body = raw;
+      try {
+        body = JSON.parse(raw);
+      } catch {}
+      const entry = { method: req.method, path: url.pathname, headers: req.headers, body };
+      received.push(entry);
+      log(`${req.method} ${url.pathname}\n${JSON.stringify(body, null, 2)}\n`);
+      const status = Number(url.searchParams.get("status")) || 200;
+      res.writeHead(status, { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" });
+      res.end(JSON.stringify({ ok: status < 400 }));
+    });
+  });
+  return new Promise((resolve) => server.listen(port, () => resolve({ server, received })));
+}
+
+function sampleEnvelope() {
+  return createEnvelope(
+    "quizResults",
+    {
+      lead: { name: "Dr. Jane Doe", email: "jane@clinic.test", location: "Austin, USA", consent: true },
+      locale: "en",
+      answers: { q1: "no", q2: "yes", q11: "growing" },
+      score: { raw: 5, max: 12.5, pct: 40, color: "red", categories: [{ id: "booking", pct: 60 }] },
+      insights: [{ ruleId: "red-no-reminders", text: "Automate reminders." }],
+      nextStep: { ruleId: "next-red", text: "Start with **automated reminders**." },
+    },
+    { sessionId: "selftest", quiz: { id: "ai-intake-readiness", version: 1 } }
+  );
+}
+
+async function selftest(port) {
+  const { server, received } = await startMockServer(port, { log: () => {} });
+  const envelope = sampleEnvelope();
+  let failed = 0;
+  for (const type of Object.keys(MAPPERS)) {
+    await deliver({ id: type, type, url: `http://localhost:${port}/${type}` }, envelope);
+    const got = received[received.length - 1];
+    console.log(`--- ${type} -> ${got.path}\n${JSON.stringify(got.body, null, 2)}`);
+  }
+  const erase = createEnvelope("deletionRequest", { email: "jane@clinic.test" }, { sessionId: "selftest", quiz: envelope.quiz });
+  await deliver({ id: "hubspot", type: "hubspot", url: `http://localhost:${port}/crm/v3/objects/contacts` }, erase);
+  const gdpr = received[received.length - 1];
+  if (gdpr.path !== "/crm/v3/objects/contacts/gdpr-delete" || gdpr.body.objectId !== "jane@clinic.test" || gdpr.body.properties) failed++;
+  console.log(`--- hubspot deletionRequest -> ${gdpr.path}\n${JSON.stringify(gdpr.body, null, 2)}`);
+  try {
+    await deliver({ id: "salesforce", type: "salesforce", url: `http://localhost:${port}/salesforce` }, erase);
+    failed++;
+    console.error("expected salesforce to refuse a deletionRequest");
+  } catch (e) {
+    if (e.retryable || received.length !== Object.keys(MAPPERS).length + 1) failed++;
+    console.log(`--- salesforce deletionRequest -> ${e.message} (retryable: ${e.retryable})`);
+  }
+  try {
+    await deliver({ id: "broken", type: "zapier", url: `http://localhost:${port}/broken?status=400` }, envelope);
+    failed++;
+    console.error("expected a 400 to throw");
+  } catch (e) {
+    if (!(e instanceof DeliveryError) || e.retryable) failed++;
+    console.log(`--- 400 -> ${e.message} (retryable: ${e.retryable})`);
+  }
+  server.close();
+  process.exitCode = failed ? 1 : 0;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2);
+  if (args.includes("--selftest")) selftest(4010);
+  else {
+    const port = Number(args[0]) || 4010;
+    startMockServer(port).then(() => console.log(`Mock destinations listening on http://localhost:${port}`));
+  }
+}